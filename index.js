@@ -1,505 +1,164 @@
+const crypto = require('crypto');
+const fs = require('fs');
 const http = require('http');
+const path = require('path');
 const url = require('url');
+const { sendJsonResponse } = require('./lib/httpHelpers');
+const { addContext, configureLogger, logger, runWithContext } = require('./lib/logger');
+const { createGauge } = require('./lib/metrics');
+const { createTenant, getTenantConfigs, getTenantDataDir } = require('./lib/tenant');
+
+const CONFIG_FILE = path.join(__dirname, 'config.js');
 
 // Load configuration
 let config;
 try {
-  config = require('./config.js');
+  config = require(CONFIG_FILE);
 } catch (error) {
   console.error('❌ Error loading config.js. Please copy config.js.example to config.js and update the values.');
   process.exit(1);
 }
 
-const PORT = config.port || 3001;
-
-// Default webhook details
-const DEFAULT_DETAILS = {
-  cardTitle: 'N/A',
-  boardName: 'N/A',
-  listName: 'N/A',
-  username: 'N/A',
-  slackTargets: [],
-  commentText: null,
-  isComment: false,
-  isTask: false,
-  taskName: null,
-  taskCompleted: false,
-  description: null,
-  changes: [],
-};
-
-/**
- * Parses a description for Slack channel and user notifications.
- *
- * This function looks for lines that contain the words "notify" or "notification"
- * and extracts any Slack channel names or user mentions.
- *
- * Slack prefixes:
- * - & (ampersand) - for shared channels
- * - # (hash/pound) - for regular channels
- * - @ (at sign) - for user mentions
- *
- * The function is flexible and handles various formats:
- * - "notify &general" → finds &general
- * - "notification: #team-alpha" → finds #team-alpha
- * - "please notify @john &urgent, #important" → finds @john, &urgent, #important
- * - "NOTIFY &channel-name @user" → finds &channel-name, @user (case insensitive)
- * - "notify &channel1 #channel2 @user1 @user2" → finds all four targets
- *
- * @param {string} description - The text to parse for notifications
- * @returns {string[]} Array of Slack channels and users (including the prefix symbol)
- *
- * @example
- * const description = `
- *   This is a regular description line
- *   notify &general #team-alpha @john
- *   Another line with notification: &urgent @admin
- * `;
- * const targets = parseNotifyChannels(description);
- * // Returns: ['&general', '#team-alpha', '@john', '&urgent', '@admin']
- */
-function parseNotifyChannels(description) {
-  if (!description || typeof description !== 'string') {
-    return [];
-  }
-
-  const targets = [];
-  const lines = description.split('\n');
-
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-
-    // Check if line contains "notify" or "notification" (case insensitive)
-    if (trimmedLine.toLowerCase().includes('notify') || trimmedLine.toLowerCase().includes('notification')) {
-      // Find all strings starting with &, #, or @ followed by valid characters
-      // This regex matches: &, #, or @ + one or more word characters, hyphens, or underscores
-      const targetMatches = trimmedLine.match(/[&#@][a-zA-Z0-9_-]+/g);
-
-      if (targetMatches) {
-        // Add unique targets only (avoid duplicates)
-        for (const target of targetMatches) {
-          if (!targets.includes(target)) {
-            targets.push(target);
-          }
-        }
-      }
-    }
-  }
-
-  return targets;
-}
+// Log level and format from config.js
+configureLogger({ logLevel: config.logLevel, logFormat: config.logFormat });
 
-// Helper function to determine if a notification should be sent
-function shouldSendNotification(event, details) {
-  // Send notifications for relevant card events, comment events, and task events
-  const relevantEvents = [
-    'cardCreate',
-    'cardUpdate',
-    'cardEdit',
-    'cardMove',
-    'cardArchive',
-    'cardRestore',
-    'commentCreate',
-    'commentUpdate',
-    'taskCreate',
-    'taskUpdate',
-    'taskDelete',
-  ];
-
-  return relevantEvents.includes(event) && details.slackTargets.length > 0;
-}
+const PORT = config.port || 3001;
+const DATA_DIR = config.dataDir || path.join(__dirname, 'data');
 
-// Helper function to send notification
-async function sendNotification(event, details) {
-  console.log(`🔔 NOTIFY: ${event} on "${details.cardTitle}" → ${details.slackTargets.join(', ')}`);
+// Running tenants by name
+const tenants = new Map();
 
-  // Send to Slack
-  await sendSlackNotification(event, details, details.slackTargets);
+// Helper function to compare tenant settings, including the functions of routing rules and templates
+function serializeConfig(tenantConfig) {
+  return JSON.stringify(tenantConfig, (key, value) =>
+    typeof value === 'function' || value instanceof RegExp ? value.toString() : value
+  );
 }
 
-// Helper function to extract webhook details
-function extractWebhookDetails(body) {
-  let data;
+// Helper function to start a tenant; a tenant that fails is logged and left out, the others keep running
+function startTenant(name, tenantConfig) {
   try {
-    data = JSON.parse(body);
-  } catch (e) {
-    return { ...DEFAULT_DETAILS };
-  }
-
-  let details = { ...DEFAULT_DETAILS };
-
-  // Handle Planka webhook format
-  const { data: webhookData, prevData, user } = data || {};
-  const { item, included } = webhookData || {};
-  const prevItem = prevData?.item;
-
-  if (item) {
-    // For comment events, the card title might be in included data
-    if (data.event && (data.event.includes('Comment') || data.event.includes('comment'))) {
-      details.isComment = true;
-      details.commentText = item.text || item.content || 'N/A';
-
-      // Try to get card title and description from included cards data
-      const cards = included?.cards;
-      if (cards && cards.length > 0) {
-        details.cardTitle = cards[0].name || 'N/A';
-        details.description = cards[0].description || null;
-      }
-    } else if (data.event && (data.event.includes('task') || data.event.includes('Task'))) {
-      // For task events, get task details and card info from included data
-      details.isTask = true;
-      details.taskName = item.name || 'N/A';
-      details.taskCompleted = item.isCompleted || false;
-      
-      // Get card info from included data
-      const cards = included?.cards;
-      if (cards && cards.length > 0) {
-        details.cardTitle = cards[0].name || 'N/A';
-        details.description = cards[0].description || null;
-      }
-    } else {
-      // For regular card events, title is in item.name
-      details.cardTitle = item.name || 'N/A';
-      details.description = item.description || null;
-    }
-
-    details.username = user?.name || user?.username || 'N/A';
-
-    // Extract board and list from included data
-    const { boards, lists } = included || {};
-
-    details.boardName = boards?.[0]?.name || 'N/A';
-    details.listName = lists?.[0]?.name || 'N/A';
-
-    // Parse description for Slack channels (for both card and comment events)
-    details.slackTargets = parseNotifyChannels(details.description);
-
-    // Detect what changed for update events
-    if (prevItem && data.event === 'cardUpdate') {
-      details.changes = [];
-      
-      // Check for title change
-      if (prevItem.name !== item.name) {
-        details.changes.push(`title: "${prevItem.name}" → "${item.name}"`);
-      }
-      
-      // Check for description change
-      if (prevItem.description !== item.description) {
-        const prevDesc = prevItem.description ? 
-          (prevItem.description.length > 20 ? prevItem.description.substring(0, 20) + '...' : prevItem.description) : 
-          '(empty)';
-        const newDesc = item.description ? 
-          (item.description.length > 20 ? item.description.substring(0, 20) + '...' : item.description) : 
-          '(empty)';
-        details.changes.push(`description updated`);
-      }
-      
-      // Check for due date change
-      if (prevItem.dueDate !== item.dueDate) {
-        const prevDate = prevItem.dueDate ? new Date(prevItem.dueDate).toLocaleDateString() : 'none';
-        const newDate = item.dueDate ? new Date(item.dueDate).toLocaleDateString() : 'none';
-        details.changes.push(`due date: ${prevDate} → ${newDate}`);
-      }
-      
-      // Check for position/list change
-      if (prevItem.listId !== item.listId) {
-        const prevList = prevData?.included?.lists?.[0]?.name || 'unknown';
-        const newList = lists?.[0]?.name || 'unknown';
-        details.changes.push(`moved: ${prevList} → ${newList}`);
-      }
-      
-      // Check for other common fields
-      if (prevItem.isCompleted !== item.isCompleted) {
-        details.changes.push(item.isCompleted ? 'marked completed' : 'marked incomplete');
-      }
-    }
+    const dataDir = getTenantDataDir(DATA_DIR, name);
+    const tenant = runWithContext({ tenant: name }, () => createTenant({ name, config: tenantConfig, dataDir }));
+    tenant.start();
+    tenants.set(name, tenant);
+    return true;
+  } catch (error) {
+    logger.error(`❌ Tenant ${name} failed to start: ${error.message}`);
+    return false;
   }
-
-  return details;
-}
-
-// Helper function to send JSON response
-function sendJsonResponse(res, statusCode, data) {
-  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify(data));
-}
-
-// Helper function to read request body
-function readRequestBody(req) {
-  return new Promise((resolve) => {
-    let body = '';
-    req.on('data', (chunk) => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      resolve(body);
-    });
-  });
 }
 
-// Helper function to validate access token
-function validateAccessToken(req) {
-  const authHeader = req.headers.authorization;
-  const tokenHeader = req.headers['x-access-token'];
-  const queryToken = url.parse(req.url, true).query.token;
-
-  const providedToken = authHeader?.replace('Bearer ', '') || tokenHeader || queryToken;
-
-  return providedToken === config.accessToken;
+// Helper function to stop a tenant, once its held back notifications and current delivery are handled.
+// It stays in `tenants` until it is replaced or removed, so its requests are still answered meanwhile
+async function stopTenant(name) {
+  const tenant = tenants.get(name);
+  if (tenant) {
+    await tenant.stop();
+  }
 }
 
 /**
- * Sends a notification to Slack using the Web API (Bot Token).
+ * Applies a changed config.js: tenants whose settings changed are restarted, new tenants are
+ * started and removed tenants are stopped. A tenant whose new settings fail keeps running with
+ * its previous settings.
  *
- * @param {string} event - The Planka event type (e.g., 'cardCreate', 'commentCreate')
- * @param {Object} details - The card/comment details
- * @param {string[]} targets - Array of Slack targets (&channels, #channels, @users)
- * @returns {Promise<boolean>} - True if successful, false if failed
+ * @param {Object} nextConfig - The new exports of config.js
  */
-async function sendSlackNotification(event, details, targets) {
-  // Check if Slack Bot Token is configured
-  if (!config.slack || !config.slack.botToken) {
-    console.log('⚠️  Slack bot token not configured. Skipping notification.');
-    return false;
+async function applyConfig(nextConfig) {
+  configureLogger({ logLevel: nextConfig.logLevel, logFormat: nextConfig.logFormat });
+  for (const key of ['port', 'dataDir']) {
+    if (nextConfig[key] !== config[key]) {
+      logger.warn(`⚠️  ${key} changed in config.js, restart the server to apply it`);
+    }
   }
+  config = nextConfig;
 
-  try {
-    // Determine the channel to post to
-    let channel = config.slack.defaultChannel || '#general';
-    const channelTargets = targets.filter((target) => target.startsWith('&') || target.startsWith('#'));
+  const tenantConfigs = getTenantConfigs(nextConfig);
 
-    if (channelTargets.length > 0) {
-      // Use the first channel found
-      channel = channelTargets[0];
+  for (const name of [...tenants.keys()]) {
+    if (!tenantConfigs[name]) {
+      await stopTenant(name);
+      tenants.delete(name);
+      logger.info(`🗑️  Removed tenant ${name}`);
     }
+  }
 
-    // Build the message
-    const message = buildSlackMessage(event, details, targets);
-
-    // Convert channel name to proper format (remove prefix for API call)
-    const channelName = channel.replace(/^[&#]/, '');
-
-    // Prepare the API payload
-    const payload = {
-      channel: channelName,
-      username: config.slack.botUsername || 'Planka Bot',
-      icon_emoji: config.slack.botIcon || ':card_index:',
-      attachments: message.attachments,
-    };
-
-    // Send via Web API
-    const response = await makeSlackApiRequest('chat.postMessage', payload);
+  for (const [name, tenantConfig] of Object.entries(tenantConfigs)) {
+    const previous = tenants.get(name)?.config;
+    if (previous && serializeConfig(previous) === serializeConfig(tenantConfig)) {
+      continue;
+    }
 
-    if (response.ok) {
-      console.log(`✅ Slack notification sent to ${channel}`);
-      return true;
+    await stopTenant(name);
+    if (startTenant(name, tenantConfig)) {
+      logger.info(`🔄 ${previous ? 'Reloaded' : 'Added'} tenant ${name}`);
+    } else if (previous && startTenant(name, previous)) {
+      logger.warn(`⚠️  Tenant ${name} keeps running with its previous settings`);
     } else {
-      console.log(`❌ Slack notification failed: ${response.error}`);
-      // If API fails due to channel access, log it
-      if (response.error === 'channel_not_found' || response.error === 'not_in_channel') {
-        await logChannelAccessError(channel, details.cardTitle);
-      }
-      return false;
+      tenants.delete(name);
     }
-  } catch (error) {
-    console.log(`❌ Error sending Slack notification: ${error.message}`);
-    return false;
   }
 }
 
-/**
- * Builds the Slack message based on the event type and details.
- *
- * @param {string} event - The Planka event type
- * @param {Object} details - The card/comment details
- * @param {string[]} targets - Array of Slack targets
- * @returns {Object} - Slack message object
- */
-function buildSlackMessage(event, details, targets) {
-  const userTargets = targets.filter((target) => target.startsWith('@'));
-  const userMentions = userTargets.length > 0 ? ` ${userTargets.join(' ')}` : '';
-
-  // Event-specific messages - more concise format
-  let text, color;
-
-  switch (event) {
-    case 'cardCreate':
-      text = `🆕 *${details.cardTitle}*\nCreated by ${details.username} in ${details.boardName} › ${details.listName}${userMentions}`;
-      color = '#36a64f'; // Green
-      break;
-
-    case 'cardUpdate':
-    case 'cardEdit':
-      if (details.changes && details.changes.length > 0) {
-        // Show what specifically changed
-        const changesSummary = details.changes.slice(0, 3).join(', ');
-        const moreChanges = details.changes.length > 3 ? ` (+${details.changes.length - 3} more)` : '';
-        text = `✏️ *${details.cardTitle}*\n_${changesSummary}${moreChanges}_\n${details.username} in ${details.boardName} › ${details.listName}${userMentions}`;
-      } else {
-        // Fallback if no specific changes detected
-        text = `✏️ *${details.cardTitle}*\n_Updated by ${details.username}_\n${details.boardName} › ${details.listName}${userMentions}`;
-      }
-      color = '#ff9500'; // Orange
-      break;
-
-    case 'cardMove':
-      text = `📤 *${details.cardTitle}*\nMoved to ${details.listName} by ${details.username}${userMentions}`;
-      color = '#007cba'; // Blue
-      break;
-
-    case 'commentCreate':
-      const truncatedComment = details.commentText && details.commentText.length > 100 
-        ? details.commentText.substring(0, 100) + '...' 
-        : details.commentText;
-      text = `💬 *${details.cardTitle}*\n_${details.username}:_ ${truncatedComment}${userMentions}`;
-      color = '#9c27b0'; // Purple
-      break;
-
-    case 'taskCreate':
-      text = `☑️ *${details.cardTitle}*\nNew task: "${details.taskName}"\n_Added by ${details.username}_${userMentions}`;
-      color = '#4caf50'; // Green
-      break;
-
-    case 'taskUpdate':
-      const taskStatus = details.taskCompleted ? '✅ completed' : '⬜ uncompleted';
-      text = `☑️ *${details.cardTitle}*\nTask "${details.taskName}" ${taskStatus}\n_Updated by ${details.username}_${userMentions}`;
-      color = '#ff9800'; // Orange
-      break;
-
-    case 'taskDelete':
-      text = `☑️ *${details.cardTitle}*\nTask "${details.taskName}" deleted\n_Removed by ${details.username}_${userMentions}`;
-      color = '#f44336'; // Red
-      break;
-
-    default:
-      text = `📋 *${details.cardTitle}*\n${event} by ${details.username}${userMentions}`;
-      color = '#607d8b'; // Grey
-  }
-
-  return {
-    attachments: [
-      {
-        color: color,
-        text: text,
-        footer: 'Planka',
-        ts: Math.floor(Date.now() / 1000),
-      },
-    ],
-  };
-}
-
-/**
- * Checks if the bot has access to a specific Slack channel using the Web API.
- *
- * @param {string} channel - The channel name (with # or & prefix)
- * @returns {Promise<boolean>} - True if bot has access, false otherwise
- */
-async function checkChannelAccess(channel) {
-  if (!config.slack.botToken) {
-    return true; // Skip check if no bot token configured
-  }
+// Reloads are applied one at a time
+let reloading = Promise.resolve();
 
+// Helper function to reload config.js; if it can't be loaded, everything keeps running as it is
+function reloadConfig() {
+  let nextConfig;
   try {
-    // Convert channel name to proper format (remove prefix for API call)
-    const channelName = channel.replace(/^[&#]/, '');
-    
-    const response = await makeSlackApiRequest('conversations.info', {
-      channel: channelName,
-    });
-
-    return response.ok;
+    delete require.cache[CONFIG_FILE];
+    nextConfig = require(CONFIG_FILE);
   } catch (error) {
-    console.log(`❌ Error checking channel access for ${channel}: ${error.message}`);
-    return false;
-  }
-}
-
-/**
- * Logs a channel access error to the designated logging channel.
- *
- * @param {string} channel - The channel that couldn't be accessed
- * @param {string} cardTitle - The card title that triggered the notification
- */
-async function logChannelAccessError(channel, cardTitle) {
-  if (!config.slack.loggingChannel || !config.slack.botToken) {
-    console.log(`⚠️  Cannot access ${channel} and no logging channel configured`);
+    logger.error(`❌ Error reloading config.js, keeping the current settings: ${error.message}`);
     return;
   }
 
-  try {
-    const message = {
-      channel: config.slack.loggingChannel.replace(/^#/, ''),
-      text: `🚫 *Channel Access Needed*\n\nI need to be invited to ${channel} to send notifications.\n\nTriggered by Planka card: "${cardTitle}"\n\nTo fix this, someone with access to ${channel} should run:\n\`/invite @${config.slack.botUsername || 'Planka Bot'}\``,
-      username: config.slack.botUsername || 'Planka Bot',
-      icon_emoji: config.slack.botIcon || ':warning:',
-    };
-
-    await makeSlackApiRequest('chat.postMessage', message);
-    console.log(`📝 Logged channel access error for ${channel} to ${config.slack.loggingChannel}`);
-  } catch (error) {
-    console.log(`❌ Error logging channel access error: ${error.message}`);
-  }
+  logger.info('🔄 Reloading config.js');
+  reloading = reloading
+    .then(() => applyConfig(nextConfig))
+    .catch((error) => {
+      logger.error(`❌ Error applying config.js: ${error.message}`);
+    });
 }
 
-/**
- * Makes a request to the Slack Web API.
- *
- * @param {string} method - The API method (e.g., 'chat.postMessage')
- * @param {Object} data - The request data
- * @returns {Promise<Object>} - The API response
- */
-async function makeSlackApiRequest(method, data) {
-  return new Promise((resolve, reject) => {
-    const postData = JSON.stringify(data);
-    
-    const options = {
-      hostname: 'slack.com',
-      port: 443,
-      path: `/api/${method}`,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${config.slack.botToken}`,
-        'Content-Length': Buffer.byteLength(postData),
-      },
-    };
-
-    const req = require('https').request(options, (res) => {
-      let responseData = '';
-
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(responseData);
-          resolve(response);
-        } catch (error) {
-          reject(new Error(`Invalid JSON response: ${responseData}`));
-        }
-      });
-    });
+// Start every tenant in config.js
+for (const [name, tenantConfig] of Object.entries(getTenantConfigs(config))) {
+  startTenant(name, tenantConfig);
+}
 
-    req.on('error', (error) => {
-      reject(error);
-    });
+// Queue metrics are read from each tenant's queue whenever /metrics is scraped
+createGauge('planka_delivery_queue_depth', 'Deliveries waiting to be sent or retried, by tenant', () =>
+  [...tenants.values()].map((tenant) => ({ labels: { tenant: tenant.name }, value: tenant.getQueueStats().depth }))
+);
+createGauge('planka_delivery_dead_letters', 'Deliveries that gave up after their last retry, by tenant', () =>
+  [...tenants.values()].map((tenant) => ({
+    labels: { tenant: tenant.name },
+    value: tenant.getQueueStats().deadLetters.length,
+  }))
+);
+
+// Helper function to find the tenant of a request: by its /tenants/<name> prefix, otherwise by its access token
+function findTenant(req, requestPath) {
+  const match = requestPath.match(/^\/tenants\/([^/]+)(\/.*)?$/);
+  if (match) {
+    return { tenant: tenants.get(match[1]) || null, path: match[2] || '/' };
+  }
 
-    req.write(postData);
-    req.end();
-  });
+  const named = [...tenants.values()].find((tenant) => tenant.name !== 'default' && tenant.auth.checkToken(req).ok);
+  return { tenant: named || tenants.get('default') || null, path: requestPath };
 }
 
-
-// Create HTTP server
-const server = http.createServer(async (req, res) => {
+// Handle one HTTP request
+async function handleRequest(req, res) {
   const parsedUrl = url.parse(req.url, true);
   const path = parsedUrl.pathname;
   const method = req.method;
 
   // Handle CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Access-Token');
 
   // Handle OPTIONS requests
@@ -509,7 +168,7 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  // Route handling
+  // Root GET endpoint for basic info
   if (method === 'GET' && path === '/') {
     // Root GET endpoint for basic info
     sendJsonResponse(res, 200, {
@@ -518,133 +177,127 @@ const server = http.createServer(async (req, res) => {
       status: 'running',
       endpoints: {
         webhook: 'POST /webhook - Webhook endpoint (requires access token)',
-        health: 'GET /health - Health check',
+        health: 'GET /health - Health check, ?deep=1 also checks Slack and deliveries (requires access token)',
+        queue: 'GET /queue - Delivery queue depth and dead letters (requires access token)',
+        metrics: 'GET /metrics - Prometheus metrics (requires access token)',
+        preferences: 'GET/PUT/DELETE /preferences/:user - Per-user notification preferences (requires access token)',
+        slackEvents: 'POST /slack/events - Slack thread replies, added to cards as comments (requires Slack signature)',
+        slackCommands: 'POST /slack/commands - /planka slash command (requires Slack signature)',
+        slackInteractions: 'POST /slack/interactions - Buttons on Slack notifications (requires Slack signature)',
+        admin: 'GET /admin - Admin page: recent webhooks, routing rules and test messages (requires access token)',
+        tenants: 'Every endpoint above is also at /tenants/:name/..., e.g. POST /tenants/acme/webhook',
       },
       timestamp: new Date().toISOString(),
     });
-  } else if (method === 'POST' && path === '/webhook') {
-    // Validate access token for webhook endpoint
-    if (!validateAccessToken(req)) {
-      console.log(`⚠️  Unauthorized webhook attempt from ${req.socket.remoteAddress}`);
-      console.log('Expected token:', config.accessToken);
-      console.log('Headers received:', JSON.stringify(req.headers, null, 2));
-      sendJsonResponse(res, 401, {
-        error: 'Unauthorized',
-        message: 'Invalid or missing access token',
-        timestamp: new Date().toISOString(),
-      });
-      return;
-    }
-
-    // Read request body for POST requests
-    const body = await readRequestBody(req);
-
-    // Webhook endpoint for Planka
-    const details = extractWebhookDetails(body);
-    const event = JSON.parse(body).event || 'unknown';
-    
-    // Simple debug: log ALL events that reach us
-    console.log(`🌐 Raw webhook event: ${event}`);
-
-    // More informative debug output
-    let eventDescription = `📨 ${event} on "${details.cardTitle}"`;
-    if (event === 'cardUpdate' && details.changes && details.changes.length > 0) {
-      eventDescription += ` - ${details.changes.join(', ')}`;
-    } else if (event === 'commentCreate') {
-      eventDescription += ` - comment: "${details.commentText?.substring(0, 50)}..."`;
-      
-      // Debug comment webhook structure
-      const parsedBody = JSON.parse(body);
-      console.log(`  🐛 Comment debug:`);
-      console.log(`    - Has included.cards?`, !!parsedBody.data?.included?.cards);
-      console.log(`    - Cards count:`, parsedBody.data?.included?.cards?.length || 0);
-      if (parsedBody.data?.included?.cards?.[0]) {
-        const card = parsedBody.data.included.cards[0];
-        console.log(`    - Card name:`, card.name);
-        console.log(`    - Card description:`, card.description ? `"${card.description.substring(0, 50)}..."` : 'null');
-      }
-      console.log(`    - Extracted description:`, details.description ? `"${details.description.substring(0, 50)}..."` : 'null');
-      console.log(`    - Slack targets:`, details.slackTargets);
-      
-      if (details.slackTargets.length === 0) {
-        console.log(`  ⚠️  No notification channels found in card description`);
-        if (details.description) {
-          console.log(`  📝 Card description: "${details.description.substring(0, 100)}..."`);
-        } else {
-          console.log(`  📝 Card has no description`);
-        }
-      }
-    } else if (event.includes('task') || event.includes('Task')) {
-      eventDescription += ` - task: "${details.taskName}"`;
-      if (event === 'taskUpdate' && details.taskCompleted !== undefined) {
-        eventDescription += details.taskCompleted ? ' (completed)' : ' (uncompleted)';
-      }
-    }
-    console.log(eventDescription);
-
-    if (shouldSendNotification(event, details)) {
-      sendNotification(event, details);
-    } else if ((event === 'commentCreate' || event.includes('task')) && details.slackTargets.length === 0) {
-      console.log(`  ℹ️  ${event} not sent to Slack (no notify channels in card description)`);
-    }
+    return;
+  }
 
-    sendJsonResponse(res, 200, {
-      status: 'success',
-      message: 'Webhook received successfully',
-      timestamp: new Date().toISOString(),
-    });
-  } else if (method === 'GET' && path === '/health') {
-    // Health check endpoint
+  // Every other endpoint belongs to a tenant
+  const route = findTenant(req, path);
+  if (!route.tenant && method === 'GET' && path === '/health' && !['1', 'true'].includes(parsedUrl.query.deep)) {
+    // Liveness probes keep working without a default tenant; the server is up if it answers
     sendJsonResponse(res, 200, {
       status: 'healthy',
       message: 'Webhook server is running',
+      tenants: tenants.size,
       timestamp: new Date().toISOString(),
     });
+    return;
+  }
+  if (!route.tenant) {
+    logger.warn(`⚠️  No tenant for ${method} request to ${path}`);
+    sendJsonResponse(res, 404, { error: 'Not found', message: 'Unknown tenant' });
+    return;
+  }
+
+  addContext({ tenant: route.tenant.name });
+  try {
+    await route.tenant.handleRequest(req, res, { path: route.path, method, query: parsedUrl.query });
+  } catch (error) {
+    handleRequestError(req, res, route.tenant, error);
+  }
+}
+
+// Helper function to answer a request that failed: with its status if the request was at fault (e.g. a body that is
+// too large), otherwise with 500, reporting the error to the tenant's logging channel
+function handleRequestError(req, res, tenant, error) {
+  const context = `${req.method} ${url.parse(req.url).pathname}`;
+
+  if (error.status) {
+    logger.warn(`⚠️  Rejected ${context}: ${error.message}`);
+    // The rest of the body is never read, so the connection can't be reused
+    res.setHeader('Connection', 'close');
+    sendJsonResponse(res, error.status, { error: http.STATUS_CODES[error.status], message: error.message });
+    return;
+  }
+
+  logger.error(`❌ Error handling ${context}: ${error.stack}`);
+  tenant.reportError(context, error);
+  if (!res.headersSent) {
+    sendJsonResponse(res, 500, { error: 'Internal server error', message: 'The request could not be handled' });
   } else {
-    // Catch-all route for any other requests
-    console.log(`⚠️  Unhandled ${method} request to ${path}`);
-    sendJsonResponse(res, 404, {
-      error: 'Not found',
-      message: 'This endpoint is not configured',
-      availableEndpoints: ['POST /webhook', 'GET /', 'GET /health'],
-    });
+    res.end();
   }
-});
+}
+
+// Create HTTP server; everything logged while handling a request carries its requestId
+const server = http.createServer((req, res) =>
+  runWithContext({ requestId: crypto.randomUUID() }, () => handleRequest(req, res))
+);
 
 // Start the server
 server.listen(PORT, () => {
-  console.log(`🚀 Webhook server is running on port ${PORT}`);
-  console.log(`📡 Webhook URL: http://localhost:${PORT}/webhook`);
-  console.log(`🏥 Health check: http://localhost:${PORT}/health`);
-  console.log(`⏰ Started at: ${new Date().toISOString()}`);
-  console.log('\nWaiting for Planka webhooks...\n');
+  logger.info(`🚀 Webhook server is running on port ${PORT}`);
+  for (const name of tenants.keys()) {
+    const prefix = name === 'default' ? '' : `/tenants/${name}`;
+    logger.info(`📡 Webhook URL for ${name}: http://localhost:${PORT}${prefix}/webhook`);
+  }
+  if (!tenants.has('default')) {
+    logger.warn(
+      '⚠️  No default tenant (config.js sets `tenants` but no top-level accessToken): requests without a ' +
+        '/tenants/<name> prefix are only answered for a tenant whose access token they carry'
+    );
+  }
+  logger.info(`🏥 Health check: http://localhost:${PORT}/health`);
+  logger.info(`⏰ Started at: ${new Date().toISOString()}`);
+  logger.info('\nWaiting for Planka webhooks...\n');
+});
+
+// Tenants report their own background failures; anything that still escapes is logged instead of stopping the server.
+// It can't be told which tenant it came from, so it isn't posted to any tenant's logging channel
+process.on('unhandledRejection', (error) => {
+  logger.error(`❌ Unhandled error: ${error?.stack || error}`);
 });
 
+// Tenants are added, changed and removed by editing config.js, without a restart (or on SIGHUP)
+let reloadTimer = null;
+fs.watchFile(CONFIG_FILE, { interval: 1000 }, (current, previous) => {
+  if (current.mtimeMs !== previous.mtimeMs) {
+    // Editors may write the file in several steps
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(reloadConfig, 500);
+  }
+});
+process.on('SIGHUP', reloadConfig);
+
 // Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down webhook server...');
-  server.close(() => {
-    console.log('✅ Server closed successfully');
-    process.exit(0);
-  });
+async function shutdown() {
+  logger.info('\n🛑 Shutting down webhook server...');
+  fs.unwatchFile(CONFIG_FILE);
 
   // Force exit after 5 seconds if server doesn't close
   setTimeout(() => {
-    console.log('⚠️  Forcing shutdown...');
+    logger.warn('⚠️  Forcing shutdown...');
     process.exit(1);
-  }, 5000);
-});
+  }, 5000).unref();
 
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Shutting down webhook server...');
+  await reloading;
+  await Promise.all([...tenants.keys()].map((name) => stopTenant(name)));
   server.close(() => {
-    console.log('✅ Server closed successfully');
+    logger.info('✅ Server closed successfully');
     process.exit(0);
   });
+}
 
-  // Force exit after 5 seconds if server doesn't close
-  setTimeout(() => {
-    console.log('⚠️  Forcing shutdown...');
-    process.exit(1);
-  }, 5000);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
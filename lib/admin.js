@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const { readRequestBody, sendJsonResponse } = require('./httpHelpers');
+const { logger } = require('./logger');
+const { createRouter, validateRule } = require('./routing');
+
+// The admin page holds no data: it asks for the access token and loads everything from /admin/api
+const ADMIN_PAGE = fs.readFileSync(path.join(__dirname, 'admin.html'), 'utf8');
+
+// Helper function to show a rule from config.js, whose title patterns may be RegExps
+function describeConfigRule(rule, index) {
+  const match = Object.fromEntries(
+    Object.entries(rule.match || {}).map(([field, condition]) => [
+      field,
+      Array.isArray(condition) ? condition.map(String) : String(condition),
+    ])
+  );
+
+  return { name: rule.name || `rule #${index + 1}`, match, targets: rule.targets || [], exclude: !!rule.exclude };
+}
+
+// Helper function to read a JSON request body, answering 400 if it isn't JSON
+async function readJsonBody(req, res, limits) {
+  try {
+    return { ok: true, input: JSON.parse(await readRequestBody(req, limits)) };
+  } catch (error) {
+    if (error.status) {
+      throw error;
+    }
+    sendJsonResponse(res, 400, { error: 'Invalid JSON', message: error.message });
+    return { ok: false };
+  }
+}
+
+/**
+ * Creates the admin page and its API: recent webhooks with the outcome of their deliveries, the
+ * targets each card notifies, routing rules that can be created and tested, and test messages.
+ *
+ * @param {Object} options
+ * @param {Object} options.history - History from createDeliveryHistory()
+ * @param {Object} options.rules - Store from createRuleStore()
+ * @param {Object[]} [options.configRules] - The `routing.rules` section of config.js, shown read-only
+ * @param {Function} options.onRulesChange - Called after a rule is added or removed, to rebuild the router
+ * @param {Function} options.sendTestMessage - async (target) => { webhookId, queued }
+ * @param {Object} [options.limits] - The `http` section of config.js, for request bodies
+ * @returns {Object} - Admin with sendPage() and handleApiRequest()
+ */
+function createAdmin({ history, rules, configRules = [], onRulesChange, sendTestMessage, limits }) {
+  function sendPage(res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Security-Policy': "default-src 'self'; script-src 'unsafe-inline'; style-src 'unsafe-inline'",
+    });
+    res.end(ADMIN_PAGE);
+  }
+
+  // Helper function to check a rule against recent webhooks, or one of them
+  function testRule(rule, webhookId) {
+    const router = createRouter([rule]);
+    const candidates = webhookId
+      ? [history.findWebhook(webhookId)].filter(Boolean)
+      : history.listWebhooks().filter((entry) => entry.event !== 'test');
+
+    const matches = [];
+    for (const entry of candidates) {
+      const decision = router.route(entry.event, entry);
+      if (decision.matchedRules.length > 0) {
+        const { id, receivedAt, event, cardTitle, boardName, listName } = entry;
+        matches.push({ id, receivedAt, event, cardTitle, boardName, listName, ...decision });
+      }
+    }
+
+    return { tested: candidates.length, matches };
+  }
+
+  // Helper function to handle /admin/api/rules and /admin/api/rules/:id
+  async function handleRulesRequest(req, res, method, ruleId) {
+    if (!ruleId && method === 'GET') {
+      sendJsonResponse(res, 200, { configRules: configRules.map(describeConfigRule), rules: rules.list() });
+    } else if (!ruleId && method === 'POST') {
+      const body = await readJsonBody(req, res, limits);
+      if (!body.ok) {
+        return;
+      }
+
+      const { rule, errors } = validateRule(body.input);
+      if (errors.length > 0) {
+        sendJsonResponse(res, 400, { error: 'Invalid rule', errors });
+        return;
+      }
+
+      const stored = rules.add(rule);
+      onRulesChange();
+      logger.info(`🧭 Added routing rule ${stored.name || stored.id} from the admin page`);
+      sendJsonResponse(res, 201, { rule: stored });
+    } else if (ruleId === 'test' && method === 'POST') {
+      const body = await readJsonBody(req, res, limits);
+      if (!body.ok) {
+        return;
+      }
+
+      const { rule, errors } = validateRule(body.input?.rule);
+      if (errors.length > 0) {
+        sendJsonResponse(res, 400, { error: 'Invalid rule', errors });
+        return;
+      }
+
+      sendJsonResponse(res, 200, testRule(rule, body.input.webhookId));
+    } else if (ruleId && method === 'DELETE') {
+      if (!rules.remove(ruleId)) {
+        sendJsonResponse(res, 404, { error: 'Not found', message: `No routing rule ${ruleId}` });
+        return;
+      }
+
+      onRulesChange();
+      logger.info(`🧭 Removed routing rule ${ruleId} from the admin page`);
+      sendJsonResponse(res, 200, { removed: ruleId });
+    } else {
+      sendJsonResponse(res, 405, { error: 'Method not allowed', message: 'Use GET or POST /rules, DELETE /rules/:id' });
+    }
+  }
+
+  /**
+   * Handles an authenticated request to the admin API.
+   *
+   * @param {http.IncomingMessage} req - The incoming request
+   * @param {http.ServerResponse} res - The response
+   * @param {string} method - HTTP method
+   * @param {string} apiPath - The path after /admin/api, e.g. '/webhooks' or '/rules/<id>'
+   */
+  async function handleApiRequest(req, res, method, apiPath) {
+    let resource, id;
+    try {
+      [, resource, id] = apiPath.split('/').map(decodeURIComponent);
+    } catch (error) {
+      sendJsonResponse(res, 400, { error: 'Invalid path', message: 'The path is not URL-encoded properly' });
+      return;
+    }
+
+    if (resource === 'webhooks' && method === 'GET') {
+      sendJsonResponse(res, 200, { webhooks: history.listWebhooks() });
+    } else if (resource === 'cards' && method === 'GET') {
+      sendJsonResponse(res, 200, { cards: history.listCards() });
+    } else if (resource === 'rules') {
+      await handleRulesRequest(req, res, method, id);
+    } else if (resource === 'test-message' && method === 'POST') {
+      const body = await readJsonBody(req, res, limits);
+      if (!body.ok) {
+        return;
+      }
+
+      const target = typeof body.input?.target === 'string' ? body.input.target.trim() : '';
+      if (!/^\S+$/.test(target)) {
+        sendJsonResponse(res, 400, { error: 'Invalid target', message: 'Give a target, e.g. "#dev" or "teams:ops"' });
+        return;
+      }
+
+      const { webhookId, queued } = await sendTestMessage(target);
+      if (queued.length === 0) {
+        sendJsonResponse(res, 400, {
+          error: 'Not sent',
+          message: `Nothing to send to ${target}: its notifier isn't configured or the user's preferences rule it out`,
+        });
+        return;
+      }
+
+      logger.info(`👋 Sent a test message to ${target} from the admin page`);
+      sendJsonResponse(res, 200, { target, webhookId, queued });
+    } else {
+      sendJsonResponse(res, 404, {
+        error: 'Not found',
+        message: 'Unknown admin endpoint',
+        availableEndpoints: [
+          'GET /admin/api/webhooks',
+          'GET /admin/api/cards',
+          'GET/POST /admin/api/rules',
+          'DELETE /admin/api/rules/:id',
+          'POST /admin/api/rules/test',
+          'POST /admin/api/test-message',
+        ],
+      });
+    }
+  }
+
+  return { sendPage, handleApiRequest };
+}
+
+module.exports = { createAdmin };
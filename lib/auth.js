@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const net = require('net');
+const url = require('url');
+const { logger } = require('./logger');
+
+const DEFAULT_SIGNATURE_OPTIONS = {
+  header: 'x-planka-signature',
+  timestampHeader: 'x-planka-timestamp',
+  tolerance: 300, // seconds a signed request stays valid
+};
+
+// How long (in seconds) a signed Slack request stays valid, as recommended by Slack
+const SLACK_SIGNATURE_TOLERANCE = 300;
+
+// Upper bound for remembered signatures, so a flood of signed requests can't exhaust memory
+const MAX_SEEN_SIGNATURES = 10000;
+
+// Helper function to compare two secrets in constant time, whatever their lengths
+function safeEqual(provided, expected) {
+  const providedHash = crypto.createHash('sha256').update(String(provided)).digest();
+  const expectedHash = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+// Helper function to strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients
+function normalizeIp(ip) {
+  return (ip || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+}
+
+/**
+ * Builds a block list from IP addresses and CIDR ranges.
+ *
+ * @param {string[]} entries - e.g. ['10.0.0.0/8', '192.168.1.5', '::1']
+ * @returns {net.BlockList} - List to check client addresses against
+ */
+function createIpList(entries) {
+  const list = new net.BlockList();
+
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (!net.isIP(address)) {
+      logger.warn(`⚠️  Ignoring invalid allowedIps entry "${entry}"`);
+    } else if (prefix !== undefined) {
+      list.addSubnet(address, Number(prefix), type);
+    } else {
+      list.addAddress(address, type);
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Creates the authentication checks for incoming webhooks and other protected endpoints.
+ *
+ * - Access tokens: `accessToken` may be a single token or a list, so tokens can be rotated
+ *   without downtime. Tokens are accepted from the Authorization (Bearer) header, the
+ *   X-Access-Token header, and - unless `security.allowQueryToken` is false - the ?token= query.
+ * - IP allow-list: `security.allowedIps` takes addresses and CIDR ranges.
+ * - Signatures: with `security.signature.secret` set, webhooks must carry an HMAC-SHA256 of
+ *   "<timestamp>.<raw body>" and a recent timestamp; each signature is accepted only once.
+ * - Slack requests (slash commands and interactions) are verified with `slack.signingSecret`
+ *   instead, since they come from Slack's own addresses and carry no access token.
+ *
+ * Failure reasons never include the secrets themselves, so they are safe to log.
+ *
+ * @param {Object} config - The full configuration
+ * @returns {Object} - Checks: checkClient(req), checkToken(req), checkSignature(req, body)
+ */
+function createAuth(config) {
+  const security = config.security || {};
+  const tokens = [].concat(config.accessToken || []).filter(Boolean);
+  const signature = security.signature?.secret ? { ...DEFAULT_SIGNATURE_OPTIONS, ...security.signature } : null;
+  const allowedIps = security.allowedIps?.length ? createIpList(security.allowedIps) : null;
+  const seenSignatures = new Map();
+
+  if (tokens.length === 0 && !signature) {
+    logger.warn('⚠️  No accessToken or signature secret configured. All webhooks will be rejected.');
+  }
+
+  // Helper function to find the client address, optionally behind a reverse proxy
+  function getClientIp(req) {
+    const forwardedFor = req.headers['x-forwarded-for'];
+
+    if (security.trustProxy && forwardedFor) {
+      return normalizeIp(forwardedFor.split(',')[0].trim());
+    }
+    return normalizeIp(req.socket.remoteAddress);
+  }
+
+  /**
+   * Checks the client address against the IP allow-list.
+   *
+   * @param {http.IncomingMessage} req - The incoming request
+   * @returns {{ ok: boolean, reason?: string, ip: string }} - Result
+   */
+  function checkClient(req) {
+    const ip = getClientIp(req);
+
+    if (allowedIps && !allowedIps.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4')) {
+      return { ok: false, reason: 'address not in allowedIps', ip };
+    }
+    return { ok: true, ip };
+  }
+
+  /**
+   * Checks the access token of a request.
+   *
+   * @param {http.IncomingMessage} req - The incoming request
+   * @returns {{ ok: boolean, reason?: string }} - Result
+   */
+  function checkToken(req) {
+    const authHeader = req.headers.authorization;
+    const tokenHeader = req.headers['x-access-token'];
+    const queryToken = url.parse(req.url, true).query.token;
+
+    if (queryToken && security.allowQueryToken === false) {
+      return { ok: false, reason: 'query string tokens are disabled' };
+    }
+
+    const providedToken = authHeader?.replace('Bearer ', '') || tokenHeader || queryToken;
+
+    if (!providedToken) {
+      return { ok: false, reason: 'missing access token' };
+    }
+
+    // Compare against every token so the time taken doesn't reveal which one matched
+    const matches = tokens.map((token) => safeEqual(providedToken, token));
+    return matches.includes(true) ? { ok: true } : { ok: false, reason: 'invalid access token' };
+  }
+
+  // Helper function to forget signatures that are too old to be replayed anyway
+  function pruneSeenSignatures(now) {
+    for (const [seen, expiresAt] of seenSignatures) {
+      if (expiresAt > now && seenSignatures.size <= MAX_SEEN_SIGNATURES) {
+        break;
+      }
+      seenSignatures.delete(seen);
+    }
+  }
+
+  /**
+   * Verifies the HMAC signature and timestamp of a webhook's raw body.
+   *
+   * @param {http.IncomingMessage} req - The incoming request
+   * @param {string} body - The raw request body
+   * @returns {{ ok: boolean, reason?: string }} - Result
+   */
+  function checkSignature(req, body) {
+    const provided = (req.headers[signature.header] || '').replace(/^sha256=/, '');
+    const timestamp = Number(req.headers[signature.timestampHeader]);
+    const now = Date.now();
+
+    if (!provided || !timestamp) {
+      return { ok: false, reason: 'missing signature or timestamp' };
+    }
+
+    // Accept timestamps in seconds or milliseconds
+    const timestampMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
+    if (Math.abs(now - timestampMs) > signature.tolerance * 1000) {
+      return { ok: false, reason: 'signature timestamp outside tolerance' };
+    }
+
+    const expected = crypto
+      .createHmac('sha256', signature.secret)
+      .update(`${req.headers[signature.timestampHeader]}.${body}`)
+      .digest('hex');
+
+    if (!safeEqual(provided.toLowerCase(), expected)) {
+      return { ok: false, reason: 'invalid signature' };
+    }
+
+    pruneSeenSignatures(now);
+    if (seenSignatures.has(expected)) {
+      return { ok: false, reason: 'replayed signature' };
+    }
+    seenSignatures.set(expected, now + signature.tolerance * 1000 * 2);
+
+    return { ok: true };
+  }
+
+  /**
+   * Runs all configured webhook checks. Tokens are required when configured; signatures are
+   * required when a signature secret is configured.
+   *
+   * @param {http.IncomingMessage} req - The incoming request
+   * @param {string} body - The raw request body
+   * @returns {{ ok: boolean, status?: number, reason?: string, ip: string }} - Result
+   */
+  function authenticateWebhook(req, body) {
+    const client = checkClient(req);
+    if (!client.ok) {
+      return { ...client, status: 403 };
+    }
+
+    if (tokens.length > 0 || !signature) {
+      const token = checkToken(req);
+      if (!token.ok) {
+        return { ...token, status: 401, ip: client.ip };
+      }
+    }
+
+    if (signature) {
+      const signed = checkSignature(req, body);
+      if (!signed.ok) {
+        return { ...signed, status: 401, ip: client.ip };
+      }
+    }
+
+    return { ok: true, ip: client.ip };
+  }
+
+  // Helper function for endpoints other than /webhook: IP allow-list plus access token
+  function authenticateRequest(req) {
+    const client = checkClient(req);
+    if (!client.ok) {
+      return { ...client, status: 403 };
+    }
+
+    const token = checkToken(req);
+    return token.ok ? { ok: true, ip: client.ip } : { ...token, status: 401, ip: client.ip };
+  }
+
+  /**
+   * Verifies that a request comes from Slack, using the v0 request signature: an HMAC-SHA256 of
+   * "v0:<timestamp>:<raw body>" with the app's signing secret.
+   *
+   * @param {http.IncomingMessage} req - The incoming request
+   * @param {string} body - The raw request body
+   * @returns {{ ok: boolean, status?: number, reason?: string, ip: string }} - Result
+   */
+  function authenticateSlack(req, body) {
+    const secret = config.slack?.signingSecret;
+    const provided = req.headers['x-slack-signature'] || '';
+    const timestamp = Number(req.headers['x-slack-request-timestamp']);
+    const ip = getClientIp(req);
+
+    if (!secret) {
+      return { ok: false, status: 401, reason: 'slack.signingSecret is not configured', ip };
+    }
+    if (!provided || !timestamp) {
+      return { ok: false, status: 401, reason: 'missing Slack signature or timestamp', ip };
+    }
+    // Old requests are refused, so a captured one can't be replayed
+    if (Math.abs(Date.now() / 1000 - timestamp) > SLACK_SIGNATURE_TOLERANCE) {
+      return { ok: false, status: 401, reason: 'Slack signature timestamp outside tolerance', ip };
+    }
+
+    const basestring = `v0:${req.headers['x-slack-request-timestamp']}:${body}`;
+    const expected = `v0=${crypto.createHmac('sha256', secret).update(basestring).digest('hex')}`;
+    return safeEqual(provided, expected)
+      ? { ok: true, ip }
+      : { ok: false, status: 401, reason: 'invalid Slack signature', ip };
+  }
+
+  return { checkClient, checkToken, checkSignature, authenticateWebhook, authenticateRequest, authenticateSlack };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,203 @@
+const { formatChange, mergeChanges } = require('./changes');
+const { logger } = require('./logger');
+
+const DEFAULT_OPTIONS = {
+  window: 10, // seconds of quiet before a burst is sent
+  maxWait: 60, // seconds after the first event when a burst is sent even if events keep coming
+  events: [
+    'cardUpdate',
+    'cardLabelCreate',
+    'cardLabelDelete',
+    'cardMembershipCreate',
+    'cardMembershipDelete',
+    'taskCreate',
+  ],
+};
+
+// Events that edit or strike through the message posted earlier about their task, comment or card. Merged into a
+// card update they would be posted as a new message, so they are never held back, even if `events` lists them
+const UNMERGED_EVENTS = ['taskUpdate', 'taskDelete', 'commentUpdate', 'commentDelete', 'cardDelete'];
+
+// Helper function to describe an event on a task, label or member of the card as a card change,
+// keyed by what it changed; returns null for card updates, which bring their own changes
+function describeChange(event, details) {
+  switch (event) {
+    case 'taskCreate':
+      return { key: `task:${details.taskName}`, change: `task "${details.taskName}" added` };
+    case 'cardLabelCreate':
+      return { key: `label:${details.labelName}`, change: `label "${details.labelName}" added` };
+    case 'cardLabelDelete':
+      return { key: `label:${details.labelName}`, change: `label "${details.labelName}" removed` };
+    case 'cardMembershipCreate':
+      return { key: `member:${details.memberName}`, change: `${details.memberName} joined` };
+    case 'cardMembershipDelete':
+      return { key: `member:${details.memberName}`, change: `${details.memberName} left` };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Splits a burst by who it notifies, so each target is only told about the events it was a target
+ * of: a directive limited to some events (`notify #dev on task`) must not get the rest of the burst.
+ * Targets notified of the same events share a part.
+ *
+ * @param {Object[]} entries - The burst, oldest first: [{ event, details }]
+ * @returns {Object[][]} - Parts of the burst, each entry's notifyTargets narrowed to the part's targets
+ */
+function splitBurst(entries) {
+  const parts = new Map();
+
+  for (const target of new Set(entries.flatMap((entry) => entry.details.notifyTargets))) {
+    const notified = entries.filter((entry) => entry.details.notifyTargets.includes(target));
+    const key = notified.map((entry) => entries.indexOf(entry)).join(',');
+    const part = parts.get(key) || { entries: notified, targets: [] };
+    part.targets.push(target);
+    parts.set(key, part);
+  }
+
+  return [...parts.values()].map((part) =>
+    part.entries.map((entry) => ({ ...entry, details: { ...entry.details, notifyTargets: part.targets } }))
+  );
+}
+
+/**
+ * Merges a burst of events on one card into a single notification.
+ *
+ * A single event is returned unchanged. Several events become one cardUpdate whose changes
+ * combine the changes of every card update (see mergeChanges()), followed by the latest state of
+ * every task, label and member that was touched. Card fields come from the latest event; targets from all of them.
+ *
+ * @param {Object[]} entries - The burst, oldest first: [{ event, details }]
+ * @returns {{ event: string, details: Object }} - The merged notification
+ */
+function mergeBurst(entries) {
+  if (entries.length === 1) {
+    return entries[0];
+  }
+
+  const changes = [];
+  const changeRecords = [];
+  const latestChanges = new Map();
+
+  for (const { event, details } of entries) {
+    const described = describeChange(event, details);
+    if (described) {
+      // Only the latest state of each task, label or member matters
+      latestChanges.delete(described.key);
+      latestChanges.set(described.key, described.change);
+    } else if (details.changeRecords?.length > 0) {
+      changeRecords.push(...details.changeRecords);
+    } else {
+      for (const change of details.changes || []) {
+        if (!changes.includes(change)) {
+          changes.push(change);
+        }
+      }
+    }
+  }
+
+  // A field edited several times goes from its first to its last value
+  const mergedRecords = mergeChanges(changeRecords);
+
+  const latest = entries[entries.length - 1].details;
+
+  return {
+    event: 'cardUpdate',
+    details: {
+      ...latest,
+      isTask: false,
+      taskId: null,
+      taskName: null,
+      changes: [...changes, ...mergedRecords.map(formatChange), ...latestChanges.values()],
+      changeRecords: mergedRecords,
+      fromListName: mergedRecords.find((change) => change.field === 'list')?.from || null,
+      notifyTargets: [...new Set(entries.flatMap((entry) => entry.details.notifyTargets))],
+      webhookIds: entries.flatMap((entry) => entry.details.webhookIds || []),
+    },
+  };
+}
+
+/**
+ * Creates a per-card debouncer that coalesces bursts of events into one notification.
+ *
+ * Editing a card in Planka fires several webhooks within seconds. Batchable events on the same
+ * card are held until the card has been quiet for `window` seconds (or `maxWait` seconds have
+ * passed since the first one), then split by target with splitBurst(), merged with mergeBurst() and
+ * handed to `send`. Other events, and events without a card, are sent straight away.
+ *
+ * @param {Object} options
+ * @param {Function} options.send - async (event, details) => void, called with each (merged) notification;
+ *   failures are logged
+ * @param {number} [options.window] - Seconds of quiet before a burst is sent (0 disables batching)
+ * @param {number} [options.maxWait] - Maximum seconds a burst is held
+ * @param {string[]} [options.events] - Events that may be batched
+ * @returns {Object} - Debouncer with add() and flushAll()
+ */
+function createDebouncer(options) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const pending = new Map();
+
+  // Helper function to send a notification; a failure is logged, and doesn't hold up the other cards
+  async function send(event, details) {
+    try {
+      await settings.send(event, details);
+    } catch (error) {
+      logger.error(`❌ Error sending ${event} on "${details.cardTitle}": ${error.message}`);
+    }
+  }
+
+  // Helper function to send the burst of a card
+  function flush(cardId) {
+    const burst = pending.get(cardId);
+    if (!burst) {
+      return;
+    }
+
+    clearTimeout(burst.timer);
+    pending.delete(cardId);
+
+    const parts = splitBurst(burst.entries);
+    if (burst.entries.length > 1) {
+      const notifications = parts.length === 1 ? 'one notification' : `${parts.length} notifications`;
+      logger.info(
+        `🧺 Merged ${burst.entries.length} events on "${burst.entries[0].details.cardTitle}" into ${notifications}`
+      );
+    }
+    return Promise.all(parts.map((entries) => mergeBurst(entries)).map(({ event, details }) => send(event, details)));
+  }
+
+  /**
+   * Adds an event, holding it back if it can be batched.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   */
+  function add(event, details) {
+    if (!settings.window || !details.cardId || !settings.events.includes(event) || UNMERGED_EVENTS.includes(event)) {
+      // Keep the order of notifications on this card: send what is held back first
+      flush(details.cardId);
+      send(event, details);
+      return;
+    }
+
+    const now = Date.now();
+    const burst = pending.get(details.cardId) || { entries: [], startedAt: now, timer: null };
+    burst.entries.push({ event, details });
+    pending.set(details.cardId, burst);
+
+    clearTimeout(burst.timer);
+    const delay = Math.min(settings.window * 1000, burst.startedAt + settings.maxWait * 1000 - now);
+    burst.timer = setTimeout(() => flush(details.cardId), Math.max(0, delay));
+    burst.timer.unref();
+  }
+
+  // Helper function to send everything that is held back, e.g. on shutdown; resolves once it is sent
+  function flushAll() {
+    return Promise.all([...pending.keys()].map((cardId) => flush(cardId)));
+  }
+
+  return { add, flushAll };
+}
+
+module.exports = { createDebouncer, mergeBurst, splitBurst };
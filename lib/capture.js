@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  maxSizeMb: 5, // size of the current file before it is rotated
+  maxFiles: 5, // rotated files kept next to the current one
+};
+
+/**
+ * Creates the capture log, which keeps every webhook the server receives for debugging and replay.
+ *
+ * Each line of `webhooks.jsonl` is one JSON entry with the raw body, the extracted details and
+ * the routing decision. When the file reaches `maxSizeMb` it is renamed to `webhooks.1.jsonl`
+ * (older files move up to `webhooks.<maxFiles>.jsonl`, then are dropped) and a new file is started.
+ *
+ * @param {Object} options
+ * @param {Object} [options.capture] - The `capture` section of config.js
+ * @param {string} options.dir - Directory for the capture files
+ * @returns {Object} - Log with record() and getFiles()
+ */
+function createCaptureLog({ capture = {}, dir }) {
+  const settings = { ...DEFAULT_SETTINGS, ...capture };
+  const file = path.join(dir, 'webhooks.jsonl');
+  const maxBytes = settings.maxSizeMb * 1024 * 1024;
+
+  // Helper function to get the path of a rotated file, e.g. webhooks.2.jsonl
+  function getRotatedFile(index) {
+    return path.join(dir, `webhooks.${index}.jsonl`);
+  }
+
+  // Helper function to move the current file out of the way once it is full
+  function rotate() {
+    if (settings.maxFiles < 1) {
+      fs.rmSync(file);
+      return;
+    }
+
+    fs.rmSync(getRotatedFile(settings.maxFiles), { force: true });
+    for (let index = settings.maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(getRotatedFile(index))) {
+        fs.renameSync(getRotatedFile(index), getRotatedFile(index + 1));
+      }
+    }
+    fs.renameSync(file, getRotatedFile(1));
+  }
+
+  /**
+   * Appends a webhook to the capture log, if capturing is enabled.
+   * Capture problems are logged and never get in the way of handling the webhook.
+   *
+   * @param {Object} entry - { event, body, details, routing }
+   */
+  function record(entry) {
+    if (!settings.enabled) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      if (fs.existsSync(file) && fs.statSync(file).size >= maxBytes) {
+        rotate();
+      }
+      fs.appendFileSync(file, `${JSON.stringify({ receivedAt: new Date().toISOString(), ...entry })}\n`);
+    } catch (error) {
+      logger.error(`❌ Error capturing webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the capture files, oldest first.
+   *
+   * @returns {string[]} - Paths of the existing capture files
+   */
+  function getFiles() {
+    const rotated = [];
+    for (let index = settings.maxFiles; index >= 1; index--) {
+      rotated.push(getRotatedFile(index));
+    }
+    return [...rotated, file].filter((candidate) => fs.existsSync(candidate));
+  }
+
+  return { record, getFiles };
+}
+
+module.exports = { createCaptureLog };
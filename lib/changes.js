@@ -0,0 +1,361 @@
+// Card fields compared on a cardUpdate, with the name shown for them. Fields that change without anyone editing
+// the card (position, updatedAt) or that arrive as events of their own (tasks, attachments) aren't compared
+const CARD_FIELDS = {
+  name: 'title',
+  description: 'description',
+  type: 'type',
+  dueDate: 'due date',
+  isDueCompleted: 'completed',
+  isDueDateCompleted: 'completed',
+  isCompleted: 'completed',
+  stopwatch: 'stopwatch',
+};
+
+// Size budget of a description diff: characters of changed lines kept, and characters per line
+const DIFF_BUDGET = { maxChars: 1000, maxLineLength: 200 };
+
+// Above this many line pairs, descriptions are diffed as a whole instead of line by line
+const MAX_DIFF_CELLS = 1000000;
+
+// Helper function to treat missing and empty values alike, so null → '' isn't reported as a change
+function normalizeValue(value) {
+  return value === undefined || value === '' ? null : value;
+}
+
+// Helper function to compare two values, including objects like the stopwatch
+function isSameValue(from, to) {
+  return JSON.stringify(normalizeValue(from)) === JSON.stringify(normalizeValue(to));
+}
+
+// Helper function to find the name of an included record by ID, looking at both sides of the webhook
+function findName(collections, id, fallback) {
+  const record = collections.flat().find((candidate) => candidate && candidate.id === id);
+  return record?.name || record?.username || fallback;
+}
+
+// Helper function to compare two lists of names as sets
+function diffNames(before, after) {
+  return {
+    added: after.filter((name) => !before.includes(name)),
+    removed: before.filter((name) => !after.includes(name)),
+  };
+}
+
+// Helper function to trim a line of a description diff to the line length budget
+function trimLine(text) {
+  return text.length > DIFF_BUDGET.maxLineLength ? `${text.substring(0, DIFF_BUDGET.maxLineLength - 1)}…` : text;
+}
+
+/**
+ * Diffs two texts line by line (longest common subsequence), keeping the changed lines.
+ *
+ * The lines are trimmed to a size budget: once `maxChars` characters of changed lines are kept,
+ * the rest is only counted in `omitted`. `added` and `removed` always count every changed line.
+ *
+ * @param {string|null} before - The old text
+ * @param {string|null} after - The new text
+ * @param {Object} [budget] - { maxChars, maxLineLength }, defaults to DIFF_BUDGET
+ * @returns {{ lines: Object[], omitted: number, added: number, removed: number }} - Lines as { type, text }
+ *   with type 'added' or 'removed', in the order they appear
+ *
+ * @example
+ * diffLines('a\nb\nc', 'a\nB\nc');
+ * // Returns: { lines: [{ type: 'removed', text: 'b' }, { type: 'added', text: 'B' }],
+ * //            omitted: 0, added: 1, removed: 1 }
+ */
+function diffLines(before, after, budget = DIFF_BUDGET) {
+  const oldLines = before ? before.split('\n') : [];
+  const newLines = after ? after.split('\n') : [];
+
+  // Lines the texts start and end with are unchanged, only the middle needs comparing
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < oldLines.length - start &&
+    end < newLines.length - start &&
+    oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]
+  ) {
+    end++;
+  }
+  const oldMiddle = oldLines.slice(start, oldLines.length - end);
+  const newMiddle = newLines.slice(start, newLines.length - end);
+
+  const changed = [];
+  if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+    changed.push(...oldMiddle.map((text) => ({ type: 'removed', text })));
+    changed.push(...newMiddle.map((text) => ({ type: 'added', text })));
+  } else {
+    // common[i][j]: length of the longest common subsequence of oldMiddle[i..] and newMiddle[j..]
+    const common = Array.from({ length: oldMiddle.length + 1 }, () => new Array(newMiddle.length + 1).fill(0));
+    for (let i = oldMiddle.length - 1; i >= 0; i--) {
+      for (let j = newMiddle.length - 1; j >= 0; j--) {
+        common[i][j] =
+          oldMiddle[i] === newMiddle[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < oldMiddle.length || j < newMiddle.length) {
+      if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+        i++;
+        j++;
+      } else if (j >= newMiddle.length || (i < oldMiddle.length && common[i + 1][j] >= common[i][j + 1])) {
+        changed.push({ type: 'removed', text: oldMiddle[i++] });
+      } else {
+        changed.push({ type: 'added', text: newMiddle[j++] });
+      }
+    }
+  }
+
+  // Blank lines only change the layout, they aren't worth a line of the budget
+  const meaningful = changed.filter((line) => line.text.trim());
+  const lines = [];
+  let size = 0;
+  for (const line of meaningful) {
+    const text = trimLine(line.text);
+    if (size + text.length > budget.maxChars) {
+      break;
+    }
+    size += text.length;
+    lines.push({ type: line.type, text });
+  }
+
+  return {
+    lines,
+    omitted: meaningful.length - lines.length,
+    added: meaningful.filter((line) => line.type === 'added').length,
+    removed: meaningful.filter((line) => line.type === 'removed').length,
+  };
+}
+
+// Helper function to compare the labels, members or custom field values of the card on both sides of the webhook
+function diffIncluded(beforeIncluded, afterIncluded, cardId) {
+  const changes = [];
+  const sides = [beforeIncluded, afterIncluded];
+  const ofCard = (records) => records.filter((record) => !cardId || !record.cardId || record.cardId === cardId);
+
+  // Only compared when both sides include them, Planka doesn't always send them with prevData
+  if (beforeIncluded.cardLabels && afterIncluded.cardLabels) {
+    const labels = sides.map((side) => side.labels || []);
+    const [before, after] = sides.map((side) =>
+      ofCard(side.cardLabels).map((cardLabel) => findName(labels, cardLabel.labelId, 'unnamed label'))
+    );
+    const { added, removed } = diffNames(before, after);
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({ field: 'labels', label: 'labels', added, removed });
+    }
+  }
+
+  if (beforeIncluded.cardMemberships && afterIncluded.cardMemberships) {
+    const users = sides.map((side) => side.users || []);
+    const [before, after] = sides.map((side) =>
+      ofCard(side.cardMemberships).map((membership) => findName(users, membership.userId, 'unknown user'))
+    );
+    const { added, removed } = diffNames(before, after);
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({ field: 'members', label: 'members', added, removed });
+    }
+  }
+
+  if (beforeIncluded.customFieldValues && afterIncluded.customFieldValues) {
+    const fields = sides.map((side) => side.customFields || []);
+    const [before, after] = sides.map(
+      (side) => new Map(ofCard(side.customFieldValues).map((value) => [value.customFieldId, value.content]))
+    );
+    for (const fieldId of new Set([...before.keys(), ...after.keys()])) {
+      if (!isSameValue(before.get(fieldId), after.get(fieldId))) {
+        changes.push({
+          field: 'customField',
+          label: findName(fields, fieldId, 'custom field'),
+          customFieldId: fieldId,
+          from: normalizeValue(before.get(fieldId)),
+          to: normalizeValue(after.get(fieldId)),
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Works out what a cardUpdate changed, by comparing `prevData` with the card's current state.
+ *
+ * Each change is a record renderers can format as they like:
+ * - { field, label, from, to } for a card field, e.g. { field: 'dueDate', label: 'due date', from: null, to }
+ * - { field: 'description', label, from, to, diff } with the line diff from diffLines()
+ * - { field: 'list' | 'board' | 'cover', label, from, to } with names instead of IDs
+ * - { field: 'labels' | 'members', label, added, removed } with names
+ * - { field: 'customField', label, customFieldId, from, to } with the custom field's name as label
+ *
+ * @param {Object} prevData - The webhook's prevData: { item, included }
+ * @param {Object} data - The webhook's data: { item, included }
+ * @returns {Object[]} - The changes, card fields first
+ */
+function detectCardChanges(prevData, data) {
+  const before = prevData?.item || {};
+  const after = data?.item || {};
+  const beforeIncluded = prevData?.included || {};
+  const afterIncluded = data?.included || {};
+  const changes = [];
+
+  // Fields missing on either side weren't sent, which doesn't mean they changed
+  const compared = (field) => field in before && field in after && !isSameValue(before[field], after[field]);
+
+  for (const [field, label] of Object.entries(CARD_FIELDS)) {
+    if (!compared(field)) {
+      continue;
+    }
+
+    const change = { field, label, from: normalizeValue(before[field]), to: normalizeValue(after[field]) };
+    if (field === 'description') {
+      change.diff = diffLines(change.from, change.to);
+    }
+    changes.push(change);
+  }
+
+  if (compared('listId')) {
+    const lists = [beforeIncluded.lists || [], afterIncluded.lists || []];
+    changes.push({
+      field: 'list',
+      label: 'moved',
+      from: findName(lists, before.listId, beforeIncluded.lists?.[0]?.name || 'unknown'),
+      to: findName(lists, after.listId, afterIncluded.lists?.[0]?.name || 'unknown'),
+    });
+  }
+
+  if (compared('boardId')) {
+    const boards = [beforeIncluded.boards || [], afterIncluded.boards || []];
+    changes.push({
+      field: 'board',
+      label: 'board',
+      from: findName(boards, before.boardId, 'unknown'),
+      to: findName(boards, after.boardId, 'unknown'),
+    });
+  }
+
+  if (compared('coverAttachmentId')) {
+    const attachments = [beforeIncluded.attachments || [], afterIncluded.attachments || []];
+    const coverName = (id) => (id ? findName(attachments, id, 'image') : null);
+    changes.push({
+      field: 'cover',
+      label: 'cover',
+      from: coverName(before.coverAttachmentId),
+      to: coverName(after.coverAttachmentId),
+    });
+  }
+
+  return [...changes, ...diffIncluded(beforeIncluded, afterIncluded, after.id || before.id)];
+}
+
+// Helper function to format a stopwatch: { startedAt, total } with the total of earlier runs in seconds
+function formatStopwatch(stopwatch) {
+  if (stopwatch.startedAt) {
+    return 'running';
+  }
+  const minutes = Math.floor((stopwatch.total || 0) / 60);
+  return `stopped at ${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Formats the old or new value of a change for people, e.g. a date or 'none'.
+ *
+ * @param {Object} change - A change from detectCardChanges()
+ * @param {*} value - change.from or change.to
+ * @returns {string} - The value as text
+ */
+function formatChangeValue(change, value) {
+  if (value === null || value === undefined) {
+    return 'none';
+  }
+
+  switch (change.field) {
+    case 'dueDate':
+      return new Date(value).toLocaleDateString();
+    case 'stopwatch':
+      return formatStopwatch(value);
+    default:
+      return typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value);
+  }
+}
+
+/**
+ * Summarises a change in one line, for text messages and templates, e.g. 'due date: 1/2/2025 → 1/9/2025'.
+ *
+ * @param {Object} change - A change from detectCardChanges()
+ * @returns {string} - The summary
+ */
+function formatChange(change) {
+  if (change.added) {
+    const items = [...change.added.map((name) => `+${name}`), ...change.removed.map((name) => `−${name}`)];
+    return `${change.label} ${items.join(' ')}`;
+  }
+
+  switch (change.field) {
+    case 'name':
+      return `title: "${change.from || ''}" → "${change.to || ''}"`;
+    case 'description': {
+      const { added, removed } = change.diff;
+      return added + removed > 0 ? `description updated (+${added} −${removed} lines)` : 'description updated';
+    }
+    case 'isDueCompleted':
+    case 'isDueDateCompleted':
+    case 'isCompleted':
+      return change.to ? 'marked completed' : 'marked incomplete';
+    default:
+      return `${change.label}: ${formatChangeValue(change, change.from)} → ${formatChangeValue(change, change.to)}`;
+  }
+}
+
+/**
+ * Combines the changes of several cardUpdates on one card, e.g. a burst merged by the debouncer.
+ * A field changed several times goes from its first old value to its last new value, and a field
+ * changed back to where it started is left out.
+ *
+ * @param {Object[]} changes - Changes from detectCardChanges(), oldest first
+ * @returns {Object[]} - The combined changes
+ */
+function mergeChanges(changes) {
+  const merged = new Map();
+
+  for (const change of changes) {
+    const key = change.field === 'customField' ? `customField:${change.customFieldId}` : change.field;
+    const previous = merged.get(key);
+    if (!previous) {
+      merged.set(key, change);
+    } else if (change.added) {
+      // +1 for a name added, -1 for one removed: adding and then removing it again cancels out
+      const net = new Map();
+      for (const [names, sign] of [
+        [previous.added, 1],
+        [previous.removed, -1],
+        [change.added, 1],
+        [change.removed, -1],
+      ]) {
+        names.forEach((name) => net.set(name, (net.get(name) || 0) + sign));
+      }
+      const names = [...net.keys()];
+      merged.set(key, {
+        ...change,
+        added: names.filter((name) => net.get(name) > 0),
+        removed: names.filter((name) => net.get(name) < 0),
+      });
+    } else {
+      const combined = { ...change, from: previous.from };
+      if (change.field === 'description') {
+        combined.diff = diffLines(combined.from, combined.to);
+      }
+      merged.set(key, combined);
+    }
+  }
+
+  return [...merged.values()].filter((change) =>
+    change.added ? change.added.length > 0 || change.removed.length > 0 : !isSameValue(change.from, change.to)
+  );
+}
+
+module.exports = { detectCardChanges, diffLines, formatChange, formatChangeValue, mergeChanges };
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { logger } = require('./logger');
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 8,
+  baseDelay: 2000, // ms before the first retry, doubled on every further attempt
+  maxDelay: 10 * 60 * 1000, // ms, upper bound for the backoff
+  channelInterval: 1000, // ms between two messages to the same channel (Slack allows ~1/sec)
+  deadLetterLimit: 200, // oldest dead letters are dropped beyond this
+};
+
+/**
+ * Creates a durable outbound delivery queue backed by a local JSON file.
+ *
+ * Every job is one message to one destination. Jobs are attempted in order per destination,
+ * retried with exponential backoff when delivery fails with a retryable error, spaced out per
+ * destination to respect rate limits, and moved to a dead-letter list once they run out of
+ * attempts or fail permanently. Pending jobs and dead letters survive a restart.
+ *
+ * The deliver function receives the job and resolves to a result object:
+ * - { ok: true } - delivered, the job is removed
+ * - { ok: false, error, retryable: true, retryAfter } - retried later (retryAfter in seconds, optional)
+ * - { ok: false, error } - permanent failure, the job goes straight to the dead-letter list
+ *
+ * @param {Object} options
+ * @param {string} options.file - Path of the JSON file holding the queue
+ * @param {Function} options.deliver - async (job) => result, performs a single delivery attempt
+ * @param {number} [options.maxAttempts] - Attempts before a job is dead-lettered
+ * @param {number} [options.baseDelay] - Initial retry delay in milliseconds
+ * @param {number} [options.maxDelay] - Maximum retry delay in milliseconds
+ * @param {number} [options.channelInterval] - Minimum milliseconds between deliveries to one destination
+ * @param {number} [options.deadLetterLimit] - Maximum number of dead letters kept
+ * @returns {Object} - Queue with enqueue(), start(), stop() and getStats()
+ */
+function createDeliveryQueue(options) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const store = createJsonStore(settings.file, { jobs: [], deadLetters: [] });
+  const { jobs, deadLetters } = store.data;
+
+  // Earliest time the next message may go to each destination (not persisted, rate limits are short-lived)
+  const destinationAvailableAt = {};
+  let timer = null;
+  // The running pass over the due jobs, if any
+  let processing = null;
+  let started = false;
+
+  // Helper function to compute the retry delay for the given attempt number
+  function getBackoffDelay(attempts) {
+    return Math.min(settings.maxDelay, settings.baseDelay * 2 ** (attempts - 1));
+  }
+
+  // Helper function to move a job to the dead-letter list
+  function deadLetter(job, error) {
+    jobs.splice(jobs.indexOf(job), 1);
+    deadLetters.push({ ...job, error, failedAt: new Date().toISOString() });
+
+    if (deadLetters.length > settings.deadLetterLimit) {
+      deadLetters.splice(0, deadLetters.length - settings.deadLetterLimit);
+    }
+
+    logger.error(`☠️  Delivery to ${job.key} dead-lettered after ${job.attempts} attempt(s): ${error}`);
+  }
+
+  // Helper function to pick the next job that is due, keeping per-destination order
+  function findDueJob(now) {
+    const blockedKeys = new Set();
+
+    for (const job of jobs) {
+      if (blockedKeys.has(job.key)) {
+        continue;
+      }
+
+      if (job.nextAttemptAt <= now && (destinationAvailableAt[job.key] || 0) <= now) {
+        return job;
+      }
+
+      // A later job must not overtake an earlier one waiting on the same destination
+      blockedKeys.add(job.key);
+    }
+
+    return null;
+  }
+
+  async function attempt(job) {
+    job.attempts += 1;
+
+    let result;
+    try {
+      result = await settings.deliver(job);
+    } catch (error) {
+      result = { ok: false, error: error.message, retryable: true };
+    }
+
+    const now = Date.now();
+    destinationAvailableAt[job.key] = now + settings.channelInterval;
+
+    if (result.ok) {
+      jobs.splice(jobs.indexOf(job), 1);
+    } else if (!result.retryable) {
+      deadLetter(job, result.error);
+    } else if (job.attempts >= settings.maxAttempts) {
+      deadLetter(job, result.error);
+    } else {
+      let delay = getBackoffDelay(job.attempts);
+
+      if (result.retryAfter) {
+        // Rate limited: hold back everything for this destination, not just this job
+        delay = Math.max(delay, result.retryAfter * 1000);
+        destinationAvailableAt[job.key] = now + result.retryAfter * 1000;
+      }
+
+      job.nextAttemptAt = now + delay;
+      job.lastError = result.error;
+      logger.warn(`🔁 Delivery to ${job.key} failed (${result.error}), retry ${job.attempts + 1} in ${delay / 1000}s`);
+    }
+
+    store.save();
+  }
+
+  function processDueJobs() {
+    if (!processing) {
+      processing = runDueJobs().finally(() => {
+        processing = null;
+        schedule();
+      });
+    }
+    return processing;
+  }
+
+  // Helper function to attempt the due jobs one at a time, until none is due or the queue stops
+  async function runDueJobs() {
+    let job = findDueJob(Date.now());
+    while (job && started) {
+      await attempt(job);
+      job = findDueJob(Date.now());
+    }
+  }
+
+  // Helper function to wake up when the earliest pending job becomes due
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+
+    if (!started || processing || jobs.length === 0) {
+      return;
+    }
+
+    const nextAt = Math.min(...jobs.map((job) => Math.max(job.nextAttemptAt, destinationAvailableAt[job.key] || 0)));
+    timer = setTimeout(processDueJobs, Math.max(0, nextAt - Date.now()));
+    timer.unref();
+  }
+
+  /**
+   * Adds a delivery to the queue and persists it immediately.
+   *
+   * @param {Object} payload - Data needed by the deliver function
+   * @param {string} key - Destination the delivery goes to, used for ordering and rate limiting
+   * @param {string} [label] - Short human-readable description shown by getStats()
+   * @returns {Object} - The queued job
+   */
+  function enqueue(payload, key, label) {
+    const job = {
+      id: crypto.randomUUID(),
+      key,
+      label: label || null,
+      payload,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now(),
+      lastError: null,
+    };
+
+    jobs.push(job);
+    store.save();
+    schedule();
+    return job;
+  }
+
+  function start() {
+    started = true;
+    if (jobs.length > 0) {
+      logger.info(`📬 Resuming ${jobs.length} queued deliveries`);
+    }
+    schedule();
+  }
+
+  /**
+   * Stops processing the queue. A delivery already in progress is finished.
+   *
+   * @returns {Promise} - Resolves once no delivery is in progress
+   */
+  function stop() {
+    started = false;
+    clearTimeout(timer);
+    timer = null;
+    return processing || Promise.resolve();
+  }
+
+  // Helper function to summarise the queue for the HTTP endpoint
+  function getStats() {
+    return {
+      depth: jobs.length,
+      pending: jobs.map(({ id, key, label, attempts, createdAt, nextAttemptAt, lastError }) => ({
+        id,
+        key,
+        label,
+        attempts,
+        createdAt,
+        nextAttemptAt: new Date(nextAttemptAt).toISOString(),
+        lastError,
+      })),
+      deadLetters: deadLetters.map(({ id, key, label, attempts, createdAt, failedAt, error }) => ({
+        id,
+        key,
+        label,
+        attempts,
+        createdAt,
+        failedAt,
+        error,
+      })),
+    };
+  }
+
+  return { enqueue, start, stop, getStats };
+}
+
+module.exports = { createDeliveryQueue };
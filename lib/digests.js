@@ -0,0 +1,230 @@
+const { createJsonStore } = require('./jsonStore');
+const { getDefaultTimeZone, getLocalTime } = require('./localTime');
+const { logger } = require('./logger');
+const { buildMessageText, toPlainText } = require('./messages');
+const { createEventMatcher } = require('./routing');
+
+// How often to check whether a digest is due; twice a minute so no scheduled minute is skipped
+const CHECK_INTERVAL = 30 * 1000;
+
+// Activity kept per digest between two runs, and lines shown in one digest message
+const MAX_ENTRIES = 1000;
+const MAX_LINES = 50;
+
+/**
+ * Compiles a digest from config.js, or returns null (and logs why) if it is invalid.
+ *
+ * @param {Object} digest - The digest as written in config.js
+ * @param {number} index - Position of the digest, used to name unnamed digests
+ * @returns {Object|null} - Compiled digest
+ */
+function compileDigest(digest, index) {
+  const name = digest.name || `digest #${index + 1}`;
+  const timezone = digest.timezone || getDefaultTimeZone();
+  const [hour, minute] = (digest.time || '09:00').split(':').map(Number);
+
+  if (!['hourly', 'daily'].includes(digest.schedule)) {
+    logger.warn(`⚠️  Digest ${name} needs schedule 'hourly' or 'daily'. Ignoring it.`);
+    return null;
+  }
+  if (!Array.isArray(digest.targets) || digest.targets.length === 0) {
+    logger.warn(`⚠️  Digest ${name} has no targets. Ignoring it.`);
+    return null;
+  }
+  if (digest.schedule === 'daily' && !(hour >= 0 && hour < 24 && minute >= 0 && minute < 60)) {
+    logger.warn(`⚠️  Digest ${name} has an invalid time "${digest.time}". Ignoring it.`);
+    return null;
+  }
+
+  try {
+    getLocalTime(new Date(), timezone);
+  } catch (error) {
+    logger.warn(`⚠️  Digest ${name} has an invalid timezone "${timezone}". Ignoring it.`);
+    return null;
+  }
+
+  return {
+    name,
+    targets: digest.targets,
+    schedule: digest.schedule,
+    // Daily digests run at `time`, hourly digests at `minute` past every hour
+    runAt: digest.schedule === 'daily' ? hour * 60 + minute : digest.minute || 0,
+    timezone,
+    matches: createEventMatcher(digest.match, `Digest ${name}`),
+  };
+}
+
+// Helper function to find the run a digest is due for, e.g. '2024-05-01' or '2024-05-01T13', or null if none yet
+function getDueRun(digest, now) {
+  const local = getLocalTime(now, digest.timezone);
+
+  if (digest.schedule === 'hourly') {
+    return local.minute >= digest.runAt ? `${local.date}T${String(local.hour).padStart(2, '0')}` : null;
+  }
+  return local.hour * 60 + local.minute >= digest.runAt ? local.date : null;
+}
+
+/**
+ * Groups recorded activity by board and card into the text of one digest message (Slack mrkdwn).
+ *
+ * @param {Object[]} entries - Recorded activity, oldest first
+ * @returns {string} - Digest text
+ */
+function buildDigestText(entries) {
+  const boards = new Map();
+
+  for (const entry of entries) {
+    const cards = boards.get(entry.boardName) || new Map();
+    const lines = cards.get(entry.cardTitle) || [];
+    lines.push(entry.summary);
+    cards.set(entry.cardTitle, lines);
+    boards.set(entry.boardName, cards);
+  }
+
+  const output = [];
+  for (const [boardName, cards] of boards) {
+    output.push(`*${boardName}*`);
+    for (const [cardTitle, lines] of cards) {
+      output.push(`• *${cardTitle}*`);
+      output.push(...lines.map((line) => `    ◦ ${line}`));
+    }
+  }
+
+  if (output.length > MAX_LINES) {
+    return [...output.slice(0, MAX_LINES), `_…and ${output.length - MAX_LINES} more lines_`].join('\n');
+  }
+  return output.join('\n');
+}
+
+/**
+ * Creates the scheduler for hourly and daily digests.
+ *
+ * Every event matching a digest's conditions (same as routing rules) is recorded. When the
+ * digest is due - `time` in `timezone` for daily digests, `minute` past the hour for hourly
+ * ones - the recorded activity is grouped into one message and handed to `send` for the
+ * digest's targets. Recorded activity and the last run survive restarts; a run missed while
+ * the server was down is sent as soon as it is back.
+ *
+ * @param {Object} options
+ * @param {Object[]} [options.digests] - The `digests` section of config.js
+ * @param {string} options.file - Path of the JSON file holding recorded activity
+ * @param {Object} [options.templates] - Message templates from createTemplates(), used for the activity lines
+ * @param {Function} options.send - async (event, details) => void, called with the 'digest' event
+ * @returns {Object} - Scheduler with record(), start() and stop()
+ */
+function createDigestScheduler({ digests = [], file, templates, send }) {
+  const compiledDigests = digests.map(compileDigest).filter(Boolean);
+  const store = createJsonStore(file, { digests: {} });
+  let timer = null;
+  let running = false;
+
+  // Digests seen for the first time wait for their next run instead of firing straight away
+  for (const digest of compiledDigests) {
+    store.data.digests[digest.name] = store.data.digests[digest.name] || {
+      lastRun: getDueRun(digest, new Date()),
+      entries: [],
+    };
+  }
+  store.save();
+
+  /**
+   * Records an event for every digest it matches.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   */
+  function record(event, details) {
+    const matching = compiledDigests.filter((digest) => digest.matches(event, details));
+    if (matching.length === 0) {
+      return;
+    }
+
+    // One line per event: the message text without its title line
+    const [, ...lines] = toPlainText(buildMessageText(event, details, { templates }).text).split('\n');
+    const entry = {
+      at: new Date().toISOString(),
+      event,
+      boardName: details.boardName,
+      cardTitle: details.cardTitle,
+      summary: lines.join(' – ') || event,
+    };
+
+    for (const digest of matching) {
+      const { entries } = store.data.digests[digest.name];
+      entries.push(entry);
+      entries.splice(0, Math.max(0, entries.length - MAX_ENTRIES));
+    }
+    store.save();
+  }
+
+  // Helper function to send every digest that is due. A digest that fails to send keeps its activity and is tried
+  // again on the next check
+  async function runDueDigests() {
+    const now = new Date();
+
+    for (const digest of compiledDigests) {
+      const state = store.data.digests[digest.name];
+      const dueRun = getDueRun(digest, now);
+
+      if (!dueRun || dueRun === state.lastRun) {
+        continue;
+      }
+
+      // Events recorded while the digest is being sent are kept for the next one
+      const entries = state.entries;
+      if (entries.length > 0) {
+        logger.info(`🗞️  Sending ${digest.schedule} digest ${digest.name} (${entries.length} events)`);
+        try {
+          await send('digest', {
+            cardTitle: `${digest.schedule === 'daily' ? 'Daily' : 'Hourly'} digest: ${digest.name}`,
+            digestText: buildDigestText(entries),
+            boardName: 'N/A',
+            listName: 'N/A',
+            username: 'N/A',
+            changes: [],
+            notifyTargets: digest.targets,
+          });
+        } catch (error) {
+          logger.error(`❌ Error sending digest ${digest.name}, trying again later: ${error.message}`);
+          continue;
+        }
+      }
+
+      state.lastRun = dueRun;
+      state.entries = state.entries.filter((entry) => !entries.includes(entry));
+      store.save();
+    }
+  }
+
+  // Helper function to run the digests that are due, unless a run is still sending
+  async function checkDigests() {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await runDueDigests();
+    } catch (error) {
+      logger.error(`❌ Error running digests: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    clearInterval(timer);
+    timer = setInterval(checkDigests, CHECK_INTERVAL);
+    timer.unref();
+    checkDigests();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { record, start, stop };
+}
+
+module.exports = { createDigestScheduler, buildDigestText };
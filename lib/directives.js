@@ -0,0 +1,240 @@
+const { EVENT_CATALOGUE } = require('./events');
+const { logger } = require('./logger');
+const { TARGET_PREFIXES } = require('./notifiers');
+const { removeExcludedTargets } = require('./routing');
+
+// The words that start a directive: notify, notification, notifications (case insensitive), followed by a colon or
+// whitespace. Not when they are part of an email address, as in notify@corp.com or team.notifications@corp.com
+const DIRECTIVE_KEYWORD = /(?<![\w.%+-])notif(?:y|ications?)(?:[*_]*:[*_]*|[*_]*(?=\s|$))/gi;
+
+// A whole token that is a target: a prefixed target for another notifier (teams:ops, mail:pm@corp.com),
+// a channel (& or #), or a user (@) which may contain dots and may be an email address (@john@example.com)
+const TARGET_TOKEN = new RegExp(
+  `^(?:(?:${Object.keys(TARGET_PREFIXES).join('|')}):[a-zA-Z0-9._%+@-]+` +
+    '|[&#][a-zA-Z0-9_-]+' +
+    '|@[a-zA-Z0-9._%+-]+(?:@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,})?)$',
+  'i'
+);
+
+// Slack channel names: lowercase letters, digits, hyphens and underscores, at most 80 characters
+const CHANNEL_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,79}$/i;
+
+// Helper function to list the catalogue's events about one subject, e.g. every comment event
+function getSubjectEvents(subject) {
+  return Object.keys(EVENT_CATALOGUE).filter((event) => EVENT_CATALOGUE[event].subject === subject);
+}
+
+/**
+ * Words that can follow `on` or `when` in a directive, and the events they stand for.
+ * Event names from the catalogue (cardMove, commentCreate, ...) can be used as well.
+ */
+const DIRECTIVE_EVENTS = {
+  create: ['cardCreate'],
+  update: ['cardUpdate', 'cardEdit'],
+  edit: ['cardUpdate', 'cardEdit'],
+  move: ['cardMove'],
+  archive: ['cardArchive'],
+  restore: ['cardRestore'],
+  delete: ['cardDelete'],
+  comment: getSubjectEvents('comment'),
+  task: [...getSubjectEvents('task'), ...getSubjectEvents('taskList')],
+  attachment: getSubjectEvents('attachment'),
+  label: getSubjectEvents('cardLabel'),
+  member: getSubjectEvents('cardMembership'),
+  due: ['cardDueSoon', 'cardDueToday', 'cardOverdue'],
+  overdue: ['cardOverdue'],
+};
+
+// Helper function to find the events a word after `on`/`when` stands for, or null if it isn't one
+function parseEventWord(word) {
+  const lower = word.toLowerCase();
+  const alias = DIRECTIVE_EVENTS[lower] || DIRECTIVE_EVENTS[lower.replace(/e?s$/, '')];
+  if (alias) {
+    return alias;
+  }
+
+  const event = Object.keys(EVENT_CATALOGUE).find((candidate) => candidate.toLowerCase() === lower);
+  return event ? [event] : null;
+}
+
+// Helper function to check a channel name, so issue references like #123 aren't taken for channels
+function isValidTarget(target) {
+  if (!/^[&#]/.test(target)) {
+    return true;
+  }
+
+  const name = target.substring(1);
+  return CHANNEL_NAME_PATTERN.test(name) && !/^\d+$/.test(name);
+}
+
+// Helper function to blank out the parts of a line that only quote text: inline code and "quotes"
+function stripQuotedText(line) {
+  return line.replace(/`[^`]*`/g, ' ').replace(/"[^"]*"|“[^”]*”/g, ' ');
+}
+
+// Helper function to read the directive that starts right after a keyword
+function parseDirective(text) {
+  const directive = { targets: [], excluded: [], events: null };
+  const words = text.split(/[\s,]+/).filter(Boolean);
+  let index = 0;
+
+  // Targets, each optionally negated with a leading -
+  for (; index < words.length; index++) {
+    const word = words[index].replace(/^[*_~(]+|[*_~).;:!?]+$/g, '');
+    if (/^(?:and|or|&)$/i.test(word)) {
+      continue;
+    }
+
+    const negated = word.startsWith('-');
+    const target = negated ? word.substring(1) : word;
+    if (!TARGET_TOKEN.test(target)) {
+      break;
+    }
+
+    if (!isValidTarget(target)) {
+      logger.warn(`⚠️  Ignoring "${target}" in notify directive: not a valid channel name`);
+      continue;
+    }
+
+    const list = negated ? directive.excluded : directive.targets;
+    if (!list.includes(target)) {
+      list.push(target);
+    }
+  }
+
+  // An optional event filter: "on move, comment" or "when due"
+  if (/^(?:on|when)$/i.test(words[index] || '')) {
+    const events = [];
+    for (index += 1; index < words.length; index++) {
+      const word = words[index].replace(/[.;:!?]+$/, '');
+      if (/^(?:and|or)$/i.test(word)) {
+        continue;
+      }
+
+      const matched = parseEventWord(word);
+      if (!matched) {
+        break;
+      }
+      events.push(...matched);
+    }
+
+    // "notify #dev on Monday" has no event filter
+    if (events.length > 0) {
+      directive.events = [...new Set(events)];
+    }
+  }
+
+  return directive;
+}
+
+/**
+ * Parses text for notify directives.
+ *
+ * A directive is the word "notify" (or "notification(s)") followed directly by its targets, and
+ * optionally by the events it is limited to. It can sit anywhere in a line, but only the targets
+ * right after the keyword count, so "I'll notify the team about #123" has none. Fenced code
+ * blocks, blockquotes, inline code and "quoted text" are skipped.
+ *
+ * - "notify &general #team-alpha @john" → three targets, for every event
+ * - "please notify @john and @anna@example.com" → two targets
+ * - "notify #dev teams:ops mail:pm@corp.com" → targets for Slack, Teams and email
+ * - "notify #dev on move, comment" → only for card moves and comments
+ * - "notify @anna when due" → only for due date reminders (see DIRECTIVE_EVENTS)
+ * - "notify -@bob" → @bob is left out, even when a routing rule or subscription adds him
+ *
+ * @param {string} text - Card description, label name or custom field value
+ * @returns {Object[]} - Directives: { targets, excluded, events } with events null for every event
+ *
+ * @example
+ * parseDirectives('notify #dev -@bob on move');
+ * // Returns: [{ targets: ['#dev'], excluded: ['@bob'], events: ['cardMove'] }]
+ */
+function parseDirectives(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const directives = [];
+  let fence = null;
+
+  for (const line of text.split('\n')) {
+    const trimmedLine = line.trim();
+
+    // Skip fenced code blocks (``` or ~~~) and blockquotes
+    const fenceMatch = trimmedLine.match(/^(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1][0];
+      } else if (fenceMatch[1][0] === fence) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fence || trimmedLine.startsWith('>')) {
+      continue;
+    }
+
+    const content = stripQuotedText(trimmedLine);
+    for (const keyword of content.matchAll(DIRECTIVE_KEYWORD)) {
+      const directive = parseDirective(content.substring(keyword.index + keyword[0].length));
+      if (directive.targets.length > 0 || directive.excluded.length > 0) {
+        directives.push(directive);
+      }
+    }
+  }
+
+  return directives;
+}
+
+/**
+ * Works out which targets an event notifies from a card's directives.
+ *
+ * @param {Object[]} directives - Directives from parseDirectives()
+ * @param {string} event - The Planka event type
+ * @param {Object} details - The card details; a cardUpdate that changed the list counts as cardMove
+ * @returns {{ targets: string[], excluded: string[] }} - Targets to notify and targets to leave out
+ */
+function resolveDirectives(directives, event, details) {
+  const events = details.fromListName ? [event, 'cardMove'] : [event];
+  const targets = [];
+  const excluded = [];
+
+  for (const directive of directives) {
+    if (directive.events && !directive.events.some((candidate) => events.includes(candidate))) {
+      continue;
+    }
+    targets.push(...directive.targets);
+    excluded.push(...directive.excluded);
+  }
+
+  return { targets: [...new Set(targets)], excluded: [...new Set(excluded)] };
+}
+
+/**
+ * Re-resolves a card's directives for another event, e.g. when a due date reminder is sent
+ * with the details stored from an earlier card event.
+ *
+ * @param {Object} details - Details with directives, directiveTargets and notifyTargets
+ * @param {string} event - The event about to be sent
+ * @returns {Object} - A copy of the details with the event's targets
+ */
+function retargetDirectives(details, event) {
+  const previous = details.directiveTargets || [];
+  // The stored details may be from a move, which the new event isn't
+  const { targets, excluded } = resolveDirectives(details.directives || [], event, {});
+  const kept = details.notifyTargets.filter((target) => !previous.includes(target));
+
+  return {
+    ...details,
+    notifyTargets: removeExcludedTargets([...new Set([...kept, ...targets])], excluded),
+    directiveTargets: targets,
+    excludedTargets: excluded,
+  };
+}
+
+module.exports = {
+  DIRECTIVE_EVENTS,
+  parseDirectives,
+  resolveDirectives,
+  retargetDirectives,
+};
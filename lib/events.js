@@ -0,0 +1,72 @@
+const { logger } = require('./logger');
+
+/**
+ * Planka webhook events this server understands.
+ *
+ * `subject` says what the event's item is, and so how its details are extracted. `enabled` is the
+ * default for sending notifications: events on a card are on, since they only notify the targets
+ * the card (or a routing rule) names; list and board events, and the chattier card events, are off.
+ */
+const EVENT_CATALOGUE = {
+  cardCreate: { subject: 'card', enabled: true },
+  cardUpdate: { subject: 'card', enabled: true },
+  cardEdit: { subject: 'card', enabled: true },
+  cardMove: { subject: 'card', enabled: true },
+  cardArchive: { subject: 'card', enabled: true },
+  cardRestore: { subject: 'card', enabled: true },
+  cardDelete: { subject: 'card', enabled: true },
+  cardLabelCreate: { subject: 'cardLabel', enabled: true },
+  cardLabelDelete: { subject: 'cardLabel', enabled: true },
+  cardMembershipCreate: { subject: 'cardMembership', enabled: true },
+  cardMembershipDelete: { subject: 'cardMembership', enabled: true },
+  commentCreate: { subject: 'comment', enabled: true },
+  commentUpdate: { subject: 'comment', enabled: true },
+  commentDelete: { subject: 'comment', enabled: true },
+  attachmentCreate: { subject: 'attachment', enabled: true },
+  attachmentUpdate: { subject: 'attachment', enabled: false },
+  attachmentDelete: { subject: 'attachment', enabled: true },
+  taskCreate: { subject: 'task', enabled: true },
+  taskUpdate: { subject: 'task', enabled: true },
+  taskDelete: { subject: 'task', enabled: true },
+  taskListCreate: { subject: 'taskList', enabled: true },
+  taskListUpdate: { subject: 'taskList', enabled: false },
+  taskListDelete: { subject: 'taskList', enabled: true },
+  listCreate: { subject: 'list', enabled: false },
+  listUpdate: { subject: 'list', enabled: false },
+  listClear: { subject: 'list', enabled: false },
+  listDelete: { subject: 'list', enabled: false },
+  boardCreate: { subject: 'board', enabled: false },
+  boardUpdate: { subject: 'board', enabled: false },
+  boardDelete: { subject: 'board', enabled: false },
+};
+
+/**
+ * Finds what an event's item is, e.g. 'card' for cardUpdate or 'comment' for commentDelete.
+ * Events missing from the catalogue are treated as card events, as they always were.
+ *
+ * @param {string} event - The Planka event type
+ * @returns {string} - Subject of the event
+ */
+function getEventSubject(event) {
+  return EVENT_CATALOGUE[event] ? EVENT_CATALOGUE[event].subject : 'card';
+}
+
+/**
+ * Creates the check for which events may send notifications, from the `events` section of
+ * config.js. Each entry switches one event on or off; everything else keeps its default.
+ * Events missing from the catalogue are off unless switched on.
+ *
+ * @param {Object} [settings] - The `events` section of config.js, e.g. { listCreate: true, cardLabelCreate: false }
+ * @returns {Function} - (event) => boolean
+ */
+function createEventFilter(settings = {}) {
+  for (const event of Object.keys(settings)) {
+    if (!EVENT_CATALOGUE[event]) {
+      logger.warn(`⚠️  Unknown event "${event}" in config.js events. It will only match if Planka sends it.`);
+    }
+  }
+
+  return (event) => (event in settings ? !!settings[event] : !!EVENT_CATALOGUE[event]?.enabled);
+}
+
+module.exports = { EVENT_CATALOGUE, createEventFilter, getEventSubject };
@@ -0,0 +1,111 @@
+// How long a deep check is reused, so frequent probes don't call the Slack API every time
+const DEEP_CHECK_TTL = 30 * 1000;
+
+/**
+ * Creates the health check behind GET /health.
+ *
+ * The basic check only says the server is running, with when the last webhook arrived and the
+ * last delivery failed. The deep check also validates the Slack setup and reports `degraded`
+ * when the token, its scopes or a channel is broken, or when the latest delivery failed.
+ *
+ * @param {Object} options
+ * @param {Object} [options.slack] - The Slack notifier, if Slack is configured
+ * @param {Object} options.deliveryQueue - Queue from createDeliveryQueue()
+ * @returns {Object} - Health check with recordWebhook(), recordDelivery() and check()
+ */
+function createHealthCheck({ slack, deliveryQueue }) {
+  const activity = { lastWebhookAt: null, lastDeliveryAt: null, lastDeliveryFailure: null };
+  let lastDeepCheck = null;
+
+  /**
+   * Notes that an authenticated webhook arrived.
+   */
+  function recordWebhook() {
+    activity.lastWebhookAt = new Date().toISOString();
+  }
+
+  /**
+   * Notes the result of a delivery attempt.
+   *
+   * @param {string} destination - Queue key of the delivery, e.g. 'slack:#dev'
+   * @param {Object} result - { ok, error }
+   */
+  function recordDelivery(destination, result) {
+    if (result.ok) {
+      activity.lastDeliveryAt = new Date().toISOString();
+    } else {
+      activity.lastDeliveryFailure = { destination, error: result.error, failedAt: new Date().toISOString() };
+    }
+  }
+
+  // Helper function to check deliveries: failing when the latest attempt failed
+  function checkDeliveries() {
+    const { depth, deadLetters } = deliveryQueue.getStats();
+    const failure = activity.lastDeliveryFailure;
+
+    return {
+      ok: !failure || (activity.lastDeliveryAt !== null && activity.lastDeliveryAt > failure.failedAt),
+      lastDeliveryAt: activity.lastDeliveryAt,
+      lastFailure: failure,
+      queueDepth: depth,
+      deadLetters: deadLetters.length,
+    };
+  }
+
+  // Helper function to run the Slack checks, reusing a recent result
+  async function checkSlack() {
+    if (!slack) {
+      return {};
+    }
+
+    if (!lastDeepCheck || Date.now() - lastDeepCheck.checkedAt > DEEP_CHECK_TTL) {
+      lastDeepCheck = { checkedAt: Date.now(), checks: await slack.checkSlackHealth() };
+    }
+    return lastDeepCheck.checks;
+  }
+
+  /**
+   * Checks the server's health.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.deep] - Also validate the Slack token, scopes and channels
+   * @returns {Promise<Object>} - { healthy, report }, the report being the response body
+   */
+  async function check({ deep = false } = {}) {
+    if (!deep) {
+      return {
+        healthy: true,
+        report: {
+          status: 'healthy',
+          message: 'Webhook server is running',
+          lastWebhookAt: activity.lastWebhookAt,
+          // Which destination failed, and why, is only in the deep check, which requires the access token
+          lastDeliveryFailureAt: activity.lastDeliveryFailure?.failedAt || null,
+          timestamp: new Date().toISOString(),
+        },
+      };
+    }
+
+    const checks = {
+      webhooks: { ok: true, lastReceivedAt: activity.lastWebhookAt },
+      deliveries: checkDeliveries(),
+      ...(await checkSlack()),
+    };
+    const failing = Object.keys(checks).filter((name) => !checks[name].ok);
+    const healthy = failing.length === 0;
+
+    return {
+      healthy,
+      report: {
+        status: healthy ? 'healthy' : 'degraded',
+        message: healthy ? 'All checks passed' : `Failing checks: ${failing.join(', ')}`,
+        checks,
+        timestamp: new Date().toISOString(),
+      },
+    };
+  }
+
+  return { recordWebhook, recordDelivery, check };
+}
+
+module.exports = { createHealthCheck };
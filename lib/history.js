@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { getEventSubject } = require('./events');
+const { createJsonStore } = require('./jsonStore');
+
+// How much history is kept, overridden by the `admin` section of config.js
+const DEFAULT_LIMITS = {
+  historySize: 200, // most recent webhooks, with the outcome of their deliveries
+  cardLimit: 1000, // cards whose notification targets are shown, the least recently changed are dropped first
+};
+
+/**
+ * Creates the delivery history behind the admin page: the most recent webhooks with their routing
+ * decision and the outcome of each delivery, and the targets each card currently notifies.
+ *
+ * Cards are only updated from card events, since only they carry the complete card, and are
+ * dropped once they are deleted or no longer notify anyone.
+ *
+ * @param {Object} options
+ * @param {string} options.file - Path of the JSON file holding the history
+ * @param {number} [options.historySize] - Number of webhooks kept
+ * @param {number} [options.cardLimit] - Number of cards kept
+ * @returns {Object} - History with recordWebhook(), recordDelivery(), listWebhooks(), findWebhook() and listCards()
+ */
+function createDeliveryHistory({ file, ...limits }) {
+  const { historySize, cardLimit } = { ...DEFAULT_LIMITS, ...limits };
+  const store = createJsonStore(file, { webhooks: [], cards: {} });
+  const { webhooks, cards } = store.data;
+
+  // Helper function to update the targets a card notifies from one of its events
+  function trackCard(event, details, routing) {
+    if (!details.cardId || getEventSubject(event) !== 'card') {
+      return;
+    }
+
+    if (event === 'cardDelete' || (details.directives.length === 0 && details.notifyTargets.length === 0)) {
+      delete cards[details.cardId];
+      return;
+    }
+
+    cards[details.cardId] = {
+      cardId: details.cardId,
+      cardTitle: details.cardTitle,
+      cardUrl: details.cardUrl,
+      boardName: details.boardName,
+      listName: details.listName,
+      directives: details.directives,
+      targets: details.notifyTargets,
+      excluded: routing.excluded ? routing.matchedRules[0] : null,
+      updatedAt: new Date().toISOString(),
+    };
+
+    const ids = Object.keys(cards);
+    if (ids.length > cardLimit) {
+      ids
+        .sort((a, b) => cards[a].updatedAt.localeCompare(cards[b].updatedAt))
+        .slice(0, ids.length - cardLimit)
+        .forEach((id) => delete cards[id]);
+    }
+  }
+
+  /**
+   * Records a webhook with its routing decision.
+   *
+   * @param {string} event - The Planka event type, or 'test' for a test message
+   * @param {Object} details - The details, with the notification targets after routing
+   * @param {Object} routing - Routing decision from applyRouting()
+   * @param {boolean} sent - Whether a notification is sent for it
+   * @returns {string} - ID of the entry, for recordDelivery()
+   */
+  function recordWebhook(event, details, routing, sent) {
+    const entry = {
+      id: crypto.randomUUID(),
+      receivedAt: new Date().toISOString(),
+      event,
+      cardId: details.cardId,
+      cardTitle: details.cardTitle,
+      cardUrl: details.cardUrl,
+      boardName: details.boardName,
+      listName: details.listName,
+      fromListName: details.fromListName,
+      username: details.username,
+      labels: details.labels,
+      changes: details.changes,
+      targets: details.notifyTargets,
+      matchedRules: routing.matchedRules || [],
+      subscribedChannels: routing.subscribedChannels || [],
+      excluded: !!routing.excluded,
+      sent,
+      deliveries: [],
+    };
+
+    webhooks.unshift(entry);
+    webhooks.splice(historySize);
+    trackCard(event, details, routing);
+    store.save();
+    return entry.id;
+  }
+
+  /**
+   * Records the outcome of a delivery attempt for the webhooks it notifies about. A retry
+   * replaces the outcome of the earlier attempt.
+   *
+   * @param {string[]} webhookIds - IDs from recordWebhook(); a batched notification has several
+   * @param {string} destination - Queue key of the delivery, e.g. 'slack:#dev'
+   * @param {Object} result - { ok, error }
+   */
+  function recordDelivery(webhookIds, destination, result) {
+    const entries = webhooks.filter((entry) => webhookIds.includes(entry.id));
+    if (entries.length === 0) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const previous = entry.deliveries.find((delivery) => delivery.destination === destination);
+      const delivery = {
+        destination,
+        ok: result.ok,
+        error: result.error || null,
+        attempts: (previous?.attempts || 0) + 1,
+        at: new Date().toISOString(),
+      };
+      entry.deliveries = [...entry.deliveries.filter((item) => item !== previous), delivery];
+    }
+    store.save();
+  }
+
+  function listWebhooks() {
+    return webhooks;
+  }
+
+  function findWebhook(id) {
+    return webhooks.find((entry) => entry.id === id) || null;
+  }
+
+  // Cards are listed by board, then title
+  function listCards() {
+    return Object.values(cards).sort(
+      (a, b) => a.boardName.localeCompare(b.boardName) || a.cardTitle.localeCompare(b.cardTitle)
+    );
+  }
+
+  return { recordWebhook, recordDelivery, listWebhooks, findWebhook, listCards };
+}
+
+module.exports = { createDeliveryHistory };
@@ -0,0 +1,96 @@
+const http = require('http');
+const https = require('https');
+
+// How long to wait for a remote endpoint before giving up on a request
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Sends a request with an optional JSON body and classifies the outcome as a delivery result.
+ *
+ * The promise never rejects. Network errors, timeouts, HTTP 429 and HTTP 5xx come back
+ * as retryable failures (429 also carries `retryAfter` in seconds); any other non-2xx
+ * status is a permanent failure.
+ *
+ * @param {string} method - HTTP method, e.g. 'GET' or 'PATCH'
+ * @param {string} targetUrl - The http(s) URL to send to
+ * @param {Object} [body] - The JSON payload, if any
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Object>} - Delivery result: { ok, statusCode, error, retryable, retryAfter, body }
+ */
+function requestJson(method, targetUrl, body, headers = {}) {
+  return new Promise((resolve) => {
+    const postData = body === undefined ? '' : JSON.stringify(body);
+    let parsedUrl;
+
+    try {
+      parsedUrl = new URL(targetUrl);
+    } catch (error) {
+      resolve({ ok: false, error: `Invalid URL: ${targetUrl}`, code: 'invalid_url' });
+      return;
+    }
+
+    const transport = parsedUrl.protocol === 'http:' ? http : https;
+    const req = transport.request(
+      parsedUrl,
+      {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(postData),
+          ...headers,
+        },
+      },
+      (res) => {
+        let responseData = '';
+
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+
+        res.on('end', () => {
+          const { statusCode } = res;
+
+          if (statusCode >= 200 && statusCode < 300) {
+            resolve({ ok: true, statusCode, error: null, body: responseData });
+          } else if (statusCode === 429) {
+            const retryAfter = Number(res.headers['retry-after']) || 1;
+            resolve({ ok: false, statusCode, error: 'HTTP 429', retryable: true, retryAfter, body: responseData });
+          } else {
+            resolve({
+              ok: false,
+              statusCode,
+              error: `HTTP ${statusCode}`,
+              retryable: statusCode >= 500,
+              body: responseData,
+            });
+          }
+        });
+      }
+    );
+
+    req.setTimeout(REQUEST_TIMEOUT, () => {
+      req.destroy(Object.assign(new Error(`Request to ${parsedUrl.host} timed out`), { code: 'ETIMEDOUT' }));
+    });
+
+    req.on('error', (error) => {
+      resolve({ ok: false, error: error.message, code: error.code, retryable: true });
+    });
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * Posts a JSON body to a URL, see requestJson().
+ *
+ * @param {string} targetUrl - The http(s) URL to post to
+ * @param {Object} body - The JSON payload
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Object>} - Delivery result: { ok, statusCode, error, retryable, retryAfter, body }
+ */
+function postJson(targetUrl, body, headers = {}) {
+  return requestJson('POST', targetUrl, body, headers);
+}
+
+module.exports = { postJson, requestJson };
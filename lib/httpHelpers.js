@@ -0,0 +1,91 @@
+const url = require('url');
+const { logger } = require('./logger');
+
+// Limits on request bodies, overridden by the `http` section of config.js
+const DEFAULT_LIMITS = {
+  maxBodyMb: 1, // larger bodies are rejected with 413
+  timeout: 10, // seconds to receive the body before the request is rejected with 408
+};
+
+// Helper function to send JSON response
+function sendJsonResponse(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Creates an error that is answered with its HTTP status, e.g. 413 for a request body that is too large.
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} message - What was wrong with the request
+ * @returns {Error} - Error with a `status`
+ */
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Reads a request body, within the size and time limits of the `http` section of config.js.
+ *
+ * @param {http.IncomingMessage} req - The incoming request
+ * @param {Object} [limits] - { maxBodyMb, timeout } with the timeout in seconds
+ * @returns {Promise<string>} - The body; rejects with a 413 or 408 error from createHttpError()
+ */
+function readRequestBody(req, limits = {}) {
+  const { maxBodyMb, timeout } = { ...DEFAULT_LIMITS, ...limits };
+  const maxBytes = maxBodyMb * 1024 * 1024;
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    // Helper function to stop reading; the rest of the body is dropped when the connection closes
+    function fail(error) {
+      clearTimeout(timer);
+      req.off('data', onData);
+      req.off('end', onEnd);
+      reject(error);
+    }
+
+    function onData(chunk) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        fail(createHttpError(413, `Request body is larger than ${maxBodyMb} MB`));
+        return;
+      }
+      chunks.push(chunk);
+    }
+
+    function onEnd() {
+      clearTimeout(timer);
+      resolve(Buffer.concat(chunks).toString());
+    }
+
+    const timer = setTimeout(() => {
+      fail(createHttpError(408, `Request body not received within ${timeout} seconds`));
+    }, timeout * 1000);
+
+    if (Number(req.headers['content-length']) > maxBytes) {
+      fail(createHttpError(413, `Request body is larger than ${maxBodyMb} MB`));
+      return;
+    }
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', fail);
+  });
+}
+
+// Helper function to reject a request that failed authentication, without logging any secrets
+function sendAuthFailure(req, res, result) {
+  logger.warn(`⚠️  Unauthorized ${req.method} ${url.parse(req.url).pathname} from ${result.ip}: ${result.reason}`);
+  sendJsonResponse(res, result.status, {
+    error: result.status === 403 ? 'Forbidden' : 'Unauthorized',
+    message: result.status === 403 ? 'Address not allowed' : 'Invalid or missing credentials',
+    timestamp: new Date().toISOString(),
+  });
+}
+
+module.exports = { readRequestBody, sendAuthFailure, sendJsonResponse };
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Helper function to move a file that can't be parsed out of the way, so the next save doesn't overwrite what is in it
+function keepUnreadableFile(file, error) {
+  const corruptFile = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+
+  try {
+    fs.renameSync(file, corruptFile);
+    logger.error(
+      `❌ Could not parse ${file}, starting empty. Its contents were kept in ${corruptFile}: ${error.message}`
+    );
+  } catch (renameError) {
+    logger.error(`❌ Could not parse ${file}, nor move it to ${corruptFile}: ${renameError.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Creates a small JSON document persisted to a local file.
+ *
+ * The file is read once when the store is created and rewritten on every save().
+ * Writes go to a temporary file that is then renamed over the original, so a crash
+ * mid-write never leaves a half-written document behind.
+ * A file that can't be parsed is renamed to `<file>.corrupt-<timestamp>` rather than overwritten;
+ * any other error reading it is thrown, so nothing is lost.
+ *
+ * @param {string} file - Path to the JSON file (parent directories are created as needed)
+ * @param {Object} defaults - Initial contents used when the file doesn't exist yet
+ * @returns {{ data: Object, save: Function }} - The loaded document and a function that persists it
+ *
+ * @example
+ * const store = createJsonStore('./data/threads.json', { threads: {} });
+ * store.data.threads['card-1'] = '1700000000.000100';
+ * store.save();
+ */
+function createJsonStore(file, defaults) {
+  let data = JSON.parse(JSON.stringify(defaults));
+
+  // A missing file starts from the defaults; other read errors (permissions, a directory in the way) are thrown
+  let contents = null;
+  try {
+    contents = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  if (contents !== null) {
+    try {
+      data = { ...data, ...JSON.parse(contents) };
+    } catch (error) {
+      keepUnreadableFile(file, error);
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, file);
+  }
+
+  return { data, save };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,28 @@
+/**
+ * Gets the local date, hour and minute of a moment in a timezone.
+ *
+ * @param {Date} date - The moment
+ * @param {string} timeZone - IANA timezone, e.g. 'Europe/Berlin' (throws a RangeError if unknown)
+ * @returns {{ date: string, hour: number, minute: number }} - e.g. { date: '2024-05-01', hour: 9, minute: 30 }
+ */
+function getLocalTime(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+  const parts = Object.fromEntries(formatter.formatToParts(date).map((part) => [part.type, part.value]));
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour), minute: Number(parts.minute) };
+}
+
+// Helper function to get the server's own timezone
+function getDefaultTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+module.exports = { getLocalTime, getDefaultTimeZone };
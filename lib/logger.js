@@ -0,0 +1,76 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Context of the webhook or delivery being handled, e.g. { requestId, event, cardId }
+const contextStorage = new AsyncLocalStorage();
+
+const settings = { level: LEVELS.info, json: !process.stdout.isTTY };
+
+/**
+ * Applies the logging settings from config.js.
+ *
+ * @param {Object} options
+ * @param {string} [options.logLevel] - Least severe level written: 'debug', 'info', 'warn' or 'error'
+ * @param {string} [options.logFormat] - 'json' (one object per line), 'text' (readable lines),
+ *   or 'auto' (the default: text on a terminal, JSON otherwise)
+ */
+function configureLogger({ logLevel = 'info', logFormat = 'auto' } = {}) {
+  settings.json = logFormat === 'json' || (logFormat !== 'text' && !process.stdout.isTTY);
+  settings.level = LEVELS[logLevel] || LEVELS.info;
+  if (!LEVELS[logLevel]) {
+    write('warn', `⚠️  Unknown logLevel "${logLevel}" in config.js. Using "info".`);
+  }
+}
+
+/**
+ * Runs a function with log context: everything it logs, including from callbacks and awaited
+ * calls, carries the context's fields.
+ *
+ * @param {Object} context - Fields to add, e.g. { requestId: 'abc' }
+ * @param {Function} fn - The function to run
+ * @returns {*} - What fn returns
+ */
+function runWithContext(context, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+/**
+ * Adds fields to the current log context, e.g. the event and card once a webhook is parsed.
+ *
+ * @param {Object} fields - Fields to add
+ */
+function addContext(fields) {
+  const context = contextStorage.getStore();
+  if (context) {
+    Object.assign(context, fields);
+  }
+}
+
+// Helper function to write one log entry, if its level is enabled
+function write(level, message, fields) {
+  if (LEVELS[level] < settings.level) {
+    return;
+  }
+
+  const context = { ...contextStorage.getStore(), ...fields };
+
+  if (settings.json) {
+    process.stdout.write(
+      `${JSON.stringify({ time: new Date().toISOString(), level, msg: message.trim(), ...context })}\n`
+    );
+  } else {
+    // Text output stays as it always looked; the fields are only in JSON
+    process.stdout.write(`${message}\n`);
+  }
+}
+
+// The log functions: logger.info('✅ Slack notification sent', { channel: '#dev' })
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
+
+module.exports = { addContext, configureLogger, logger, runWithContext };
@@ -0,0 +1,49 @@
+const { createTemplates } = require('./templates');
+
+// Templates used when a caller doesn't pass the configured ones
+const defaultTemplates = createTemplates();
+
+/**
+ * Builds the text and colour of a notification from the message template of the event.
+ *
+ * The text uses Slack's mrkdwn (*bold*, _italic_) since Slack is the primary destination.
+ * Other notifiers convert it with toMarkdown() or toPlainText(). The first line is always the
+ * title; template fields follow the text as "*Title:* value" lines.
+ *
+ * @param {string} event - The Planka event type
+ * @param {Object} details - The card/comment details
+ * @param {Object} [options]
+ * @param {string[]} [options.mentions] - Already rendered user mentions appended to the text
+ * @param {string} [options.channel] - The target the message goes to, for per-channel templates
+ * @param {Object} [options.templates] - Templates from createTemplates(), defaults to the built-in ones
+ * @returns {Object} - Message text and colour, plus the rendered template parts (emoji, title, body, fields, format)
+ */
+function buildMessageText(event, details, { mentions = [], channel, templates = defaultTemplates } = {}) {
+  const message = templates.render(event, details, { mentions, channel });
+  const heading = `${message.emoji ? `${message.emoji} ` : ''}*${message.title}*`;
+  const fieldLines = message.fields.map((field) => `*${field.title}:* ${field.value}`);
+
+  return { ...message, text: [heading, message.body, ...fieldLines].filter(Boolean).join('\n') };
+}
+
+/**
+ * Converts Slack mrkdwn to standard Markdown (as used by Teams, Discord and Mattermost).
+ *
+ * @param {string} text - Text in Slack mrkdwn
+ * @returns {string} - Text in Markdown
+ */
+function toMarkdown(text) {
+  return text.replace(/\*([^*\n]+)\*/g, '**$1**');
+}
+
+/**
+ * Strips Slack mrkdwn formatting, for destinations without any markup such as email.
+ *
+ * @param {string} text - Text in Slack mrkdwn
+ * @returns {string} - Plain text
+ */
+function toPlainText(text) {
+  return text.replace(/\*([^*\n]+)\*/g, '$1').replace(/(^|\s)_([^_\n]+)_/g, '$1$2');
+}
+
+module.exports = { buildMessageText, toMarkdown, toPlainText };
@@ -0,0 +1,163 @@
+// Buckets of the latency histograms, in seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Every metric, in the order they are rendered
+const registry = [];
+
+// Helper function to escape a label value for the Prometheus text format
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Helper function to render a set of labels, e.g. {event="cardCreate"}
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Creates a counter, e.g. of webhooks received per event.
+ *
+ * @param {string} name - Metric name
+ * @param {string} help - Description shown by Prometheus
+ * @returns {{ inc: Function }} - Counter; inc(labels, amount = 1)
+ */
+function createCounter(name, help) {
+  const values = new Map();
+
+  registry.push({
+    name,
+    help,
+    type: 'counter',
+    render: (include) =>
+      [...values.values()]
+        .filter(({ labels }) => include(labels))
+        .map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+  });
+
+  function inc(labels = {}, amount = 1) {
+    const key = formatLabels(labels);
+    const entry = values.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    values.set(key, entry);
+  }
+
+  return { inc };
+}
+
+/**
+ * Creates a histogram, e.g. of Slack API latency per method.
+ *
+ * @param {string} name - Metric name
+ * @param {string} help - Description shown by Prometheus
+ * @param {number[]} [buckets] - Upper bounds of the buckets, ascending
+ * @returns {{ observe: Function }} - Histogram; observe(labels, value)
+ */
+function createHistogram(name, help, buckets = LATENCY_BUCKETS) {
+  const values = new Map();
+
+  registry.push({
+    name,
+    help,
+    type: 'histogram',
+    render: (include) =>
+      [...values.values()]
+        .filter(({ labels }) => include(labels))
+        .flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+          `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        ]),
+  });
+
+  function observe(labels, value) {
+    const key = formatLabels(labels);
+    const entry = values.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+    buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index] += 1;
+      }
+    });
+    entry.sum += value;
+    entry.count += 1;
+    values.set(key, entry);
+  }
+
+  return { observe };
+}
+
+/**
+ * Creates a gauge whose value is read when the metrics are rendered, e.g. the queue depth.
+ *
+ * @param {string} name - Metric name
+ * @param {string} help - Description shown by Prometheus
+ * @param {Function} collect - () => number, the current value, or an array of { labels, value }
+ */
+function createGauge(name, help, collect) {
+  registry.push({
+    name,
+    help,
+    type: 'gauge',
+    render: (include) => {
+      const value = collect();
+      const entries = Array.isArray(value) ? value : [{ labels: {}, value }];
+      return entries
+        .filter((entry) => include(entry.labels))
+        .map((entry) => `${name}${formatLabels(entry.labels)} ${entry.value}`);
+    },
+  });
+}
+
+/**
+ * Reduces a delivery result to a bounded code for the `error` label, e.g. channel_not_found or http_502.
+ * Error messages carry IDs, timestamps and response bodies, each of which would start a new series.
+ *
+ * @param {Object} result - Delivery result: { ok, error, code, statusCode }
+ * @returns {string} - The code, '' for a delivery that succeeded and 'other' when there is none
+ */
+function getErrorCode(result) {
+  if (result.ok) {
+    return '';
+  }
+  if (result.statusCode) {
+    return `http_${result.statusCode}`;
+  }
+  if (result.code) {
+    return String(result.code).toLowerCase();
+  }
+
+  // Slack API errors are codes already
+  return /^[a-z_]{1,50}$/.test(result.error || '') ? result.error : 'other';
+}
+
+/**
+ * Renders the metrics in the Prometheus text exposition format, for GET /metrics.
+ *
+ * The series of other tenants name their channels, so a tenant only gets the series labeled with its name.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.tenant] - Only render the series of this tenant
+ * @returns {string} - The metrics
+ */
+function renderMetrics({ tenant } = {}) {
+  const include = (labels) => tenant === undefined || labels.tenant === tenant;
+  const lines = registry.flatMap((metric) => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.render(include),
+  ]);
+  return `${lines.join('\n')}\n`;
+}
+
+// Metrics recorded across the server
+const metrics = {
+  webhooks: createCounter('planka_webhooks_total', 'Planka webhooks received, by tenant and event'),
+  deliveries: createCounter('planka_deliveries_total', 'Delivery attempts, by tenant, notifier, result and error code'),
+  slackApiDuration: createHistogram(
+    'planka_slack_api_duration_seconds',
+    'Slack Web API call latency, by tenant and method'
+  ),
+};
+
+module.exports = { createCounter, createGauge, createHistogram, getErrorCode, metrics, renderMetrics };
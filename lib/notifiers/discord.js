@@ -0,0 +1,61 @@
+const { postJson } = require('../httpClient');
+const { logger } = require('../logger');
+const { buildMessageText, toMarkdown } = require('../messages');
+const { filterNamedTargets } = require('./namedTargets');
+
+/**
+ * Creates the Discord notifier, which posts embeds to Discord channel webhooks.
+ *
+ * Targets name a webhook from config: `notify discord:alerts` posts to `discord.webhooks.alerts`.
+ *
+ * @param {Object} discord - The `discord` section of config.js
+ * @param {Object} options
+ * @param {Object} options.templates - Message templates from createTemplates()
+ * @returns {Object} - Notifier
+ */
+function createDiscordNotifier(discord, { templates }) {
+  async function getDestinations(targets) {
+    return filterNamedTargets('discord', targets, discord.webhooks);
+  }
+
+  /**
+   * Builds the Discord message based on the event type and details.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   * @param {string} destination - The webhook name, for per-channel templates
+   * @returns {Object} - Discord webhook payload with a single embed
+   */
+  function buildDiscordMessage(event, details, destination) {
+    const { text, color } = buildMessageText(event, details, { templates, channel: `discord:${destination}` });
+
+    return {
+      username: discord.username || 'Planka Bot',
+      avatar_url: discord.avatarUrl,
+      // Card text is user-provided, never let it ping @everyone or roles
+      allowed_mentions: { parse: [] },
+      embeds: [
+        {
+          description: toMarkdown(text),
+          color: parseInt(color.replace('#', ''), 16),
+          footer: { text: 'Planka' },
+          timestamp: new Date().toISOString(),
+        },
+      ],
+    };
+  }
+
+  async function send(event, details, targets, destination) {
+    const result = await postJson(discord.webhooks[destination], buildDiscordMessage(event, details, destination));
+    logger[result.ok ? 'info' : 'error'](
+      result.ok
+        ? `✅ Discord notification sent to ${destination}`
+        : `❌ Discord notification to ${destination} failed: ${result.error}`
+    );
+    return { channel: destination, ...result };
+  }
+
+  return { name: 'discord', getDestinations, send };
+}
+
+module.exports = { createDiscordNotifier };
@@ -0,0 +1,93 @@
+const { logger } = require('../logger');
+const { buildMessageText, toPlainText } = require('../messages');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Creates the email notifier, which sends plain-text mail over SMTP.
+ *
+ * Targets are addresses: `notify mail:pm@corp.com` (or `email:pm@corp.com`). Since anyone who can
+ * edit a card can add a target, `allowedDomains` restricts who may be emailed.
+ *
+ * @param {Object} email - The `email` section of config.js
+ * @param {Object} options
+ * @param {Object} options.templates - Message templates from createTemplates()
+ * @returns {Object} - Notifier
+ */
+function createEmailNotifier(email, { templates }) {
+  let transporter = null;
+
+  // Helper function to create the SMTP transport on first use
+  function getTransporter() {
+    if (!transporter) {
+      const nodemailer = require('nodemailer');
+      transporter = nodemailer.createTransport(email.smtp);
+    }
+    return transporter;
+  }
+
+  async function getDestinations(targets) {
+    if (!email.smtp || !email.from) {
+      logger.warn('⚠️  Email SMTP settings or sender not configured. Skipping notification.');
+      return [];
+    }
+
+    return targets.filter((address) => {
+      const domain = address.split('@')[1]?.toLowerCase();
+
+      if (!EMAIL_PATTERN.test(address)) {
+        logger.warn(`⚠️  Invalid email address "${address}". Skipping mail:${address}`);
+        return false;
+      }
+      if (email.allowedDomains && !email.allowedDomains.map((allowed) => allowed.toLowerCase()).includes(domain)) {
+        logger.warn(`⚠️  Email domain of "${address}" is not in allowedDomains. Skipping mail:${address}`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Builds the email based on the event type and details.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   * @param {string} destination - The recipient address, for per-channel templates
+   * @returns {{ subject: string, text: string }} - Email subject and body
+   */
+  function buildEmailMessage(event, details, destination) {
+    const { text } = buildMessageText(event, details, { templates, channel: `mail:${destination}` });
+    const [title, ...lines] = toPlainText(text).split('\n');
+
+    return {
+      subject: `${email.subjectPrefix || '[Planka]'} ${title}`,
+      text: `${title}\n\n${lines.join('\n')}\n\n-- \nSent by Planka Notifications`,
+    };
+  }
+
+  async function send(event, details, targets, destination) {
+    try {
+      await getTransporter().sendMail({
+        from: email.from,
+        to: destination,
+        ...buildEmailMessage(event, details, destination),
+      });
+      logger.info(`✅ Email notification sent to ${destination}`);
+      return { channel: destination, ok: true, error: null };
+    } catch (error) {
+      logger.error(`❌ Email notification to ${destination} failed: ${error.message}`);
+      // SMTP 5xx replies are permanent (e.g. unknown mailbox), everything else is worth another try
+      return {
+        channel: destination,
+        ok: false,
+        error: error.message,
+        code: error.responseCode ? `smtp_${error.responseCode}` : error.code,
+        retryable: !(error.responseCode >= 500),
+      };
+    }
+  }
+
+  return { name: 'email', getDestinations, send };
+}
+
+module.exports = { createEmailNotifier };
@@ -0,0 +1,95 @@
+const { createSlackNotifier } = require('./slack');
+const { createTeamsNotifier } = require('./teams');
+const { createDiscordNotifier } = require('./discord');
+const { createMattermostNotifier } = require('./mattermost');
+const { createWebhookNotifier } = require('./webhook');
+const { createEmailNotifier } = require('./email');
+
+/**
+ * A notifier delivers notifications to one kind of destination.
+ *
+ * @typedef {Object} Notifier
+ * @property {string} name - Notifier name, also its section in config.js
+ * @property {Function} getDestinations - async (targets) => string[], where to deliver for the given targets
+ * @property {Function} send - async (event, details, targets, destination) => result, delivers to one destination.
+ *   The result follows the delivery queue contract: { ok, error, retryable, retryAfter }
+ */
+
+// Notifier factories, keyed by the config.js section that enables them
+const NOTIFIER_FACTORIES = {
+  slack: createSlackNotifier,
+  teams: createTeamsNotifier,
+  discord: createDiscordNotifier,
+  mattermost: createMattermostNotifier,
+  webhook: createWebhookNotifier,
+  email: createEmailNotifier,
+};
+
+// Prefixes that address a notifier from a card description, e.g. "notify teams:ops mail:pm@corp.com"
+// Targets without a prefix (&channel, #channel, @user) go to Slack
+const TARGET_PREFIXES = {
+  teams: 'teams',
+  discord: 'discord',
+  mattermost: 'mattermost',
+  webhook: 'webhook',
+  mail: 'email',
+  email: 'email',
+};
+
+/**
+ * Creates a notifier for every backend that has a section in config.js.
+ *
+ * @param {Object} config - The full configuration
+ * @param {Object} options - Shared settings passed to every notifier, e.g. { dataDir }
+ * @returns {Object<string, Notifier>} - Configured notifiers, keyed by name
+ */
+function createNotifiers(config, options) {
+  const notifiers = {};
+
+  for (const [name, createNotifier] of Object.entries(NOTIFIER_FACTORIES)) {
+    if (config[name]) {
+      notifiers[name] = createNotifier(config[name], options);
+    }
+  }
+
+  return notifiers;
+}
+
+/**
+ * Splits a target into the notifier it belongs to and the notifier-specific value.
+ *
+ * @param {string} target - A target from a card description, e.g. 'teams:ops' or '#dev'
+ * @returns {{ notifier: string, value: string }} - e.g. { notifier: 'teams', value: 'ops' }
+ */
+function parseTarget(target) {
+  const match = target.match(/^([a-z]+):(.+)$/i);
+  const notifier = match && TARGET_PREFIXES[match[1].toLowerCase()];
+
+  if (notifier) {
+    return { notifier, value: match[2] };
+  }
+
+  return { notifier: 'slack', value: target };
+}
+
+/**
+ * Groups targets by the notifier that delivers them.
+ *
+ * @param {string[]} targets - Targets from a card description
+ * @returns {Object<string, string[]>} - e.g. { slack: ['#dev', '@john'], email: ['pm@corp.com'] }
+ */
+function groupTargetsByNotifier(targets) {
+  const groups = {};
+
+  for (const target of targets) {
+    const { notifier, value } = parseTarget(target);
+    groups[notifier] = groups[notifier] || [];
+    if (!groups[notifier].includes(value)) {
+      groups[notifier].push(value);
+    }
+  }
+
+  return groups;
+}
+
+module.exports = { TARGET_PREFIXES, createNotifiers, parseTarget, groupTargetsByNotifier };
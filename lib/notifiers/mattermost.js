@@ -0,0 +1,59 @@
+const { postJson } = require('../httpClient');
+const { logger } = require('../logger');
+const { buildMessageText, toMarkdown } = require('../messages');
+
+/**
+ * Creates the Mattermost notifier, which posts through a Mattermost incoming webhook.
+ *
+ * Targets name the channel to post to: `notify mattermost:town-square`. The webhook must allow
+ * overriding its channel, or every target lands in the webhook's default channel.
+ *
+ * @param {Object} mattermost - The `mattermost` section of config.js
+ * @param {Object} options
+ * @param {Object} options.templates - Message templates from createTemplates()
+ * @returns {Object} - Notifier
+ */
+function createMattermostNotifier(mattermost, { templates }) {
+  async function getDestinations(targets) {
+    if (!mattermost.webhookUrl) {
+      logger.warn('⚠️  Mattermost webhook URL not configured. Skipping notification.');
+      return [];
+    }
+
+    return targets.map((target) => target.replace(/^[~#]/, ''));
+  }
+
+  /**
+   * Builds the Mattermost message based on the event type and details.
+   * Mattermost understands Slack-style attachments, but with standard Markdown.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   * @param {string} channel - The channel name to post to
+   * @returns {Object} - Mattermost webhook payload
+   */
+  function buildMattermostMessage(event, details, channel) {
+    const { text, color } = buildMessageText(event, details, { templates, channel: `mattermost:${channel}` });
+
+    return {
+      channel,
+      username: mattermost.username || 'Planka Bot',
+      icon_url: mattermost.iconUrl,
+      attachments: [{ color, text: toMarkdown(text), footer: 'Planka' }],
+    };
+  }
+
+  async function send(event, details, targets, destination) {
+    const result = await postJson(mattermost.webhookUrl, buildMattermostMessage(event, details, destination));
+    logger[result.ok ? 'info' : 'error'](
+      result.ok
+        ? `✅ Mattermost notification sent to ${destination}`
+        : `❌ Mattermost notification to ${destination} failed: ${result.error}`
+    );
+    return { channel: destination, ...result };
+  }
+
+  return { name: 'mattermost', getDestinations, send };
+}
+
+module.exports = { createMattermostNotifier };
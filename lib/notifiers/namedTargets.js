@@ -0,0 +1,23 @@
+const { logger } = require('../logger');
+
+/**
+ * Keeps the targets that name a configured endpoint, e.g. `ops` for `teams: { webhooks: { ops: '...' } }`.
+ * Unknown names are logged and dropped.
+ *
+ * @param {string} notifierName - The notifier the targets belong to, used in log messages
+ * @param {string[]} targets - Target names, without the notifier prefix
+ * @param {Object} endpoints - Map of configured names to endpoints
+ * @returns {string[]} - The targets that have an endpoint
+ */
+function filterNamedTargets(notifierName, targets, endpoints = {}) {
+  return targets.filter((target) => {
+    if (endpoints[target]) {
+      return true;
+    }
+
+    logger.warn(`⚠️  No ${notifierName} endpoint named "${target}" in config.js. Skipping ${notifierName}:${target}`);
+    return false;
+  });
+}
+
+module.exports = { filterNamedTargets };
@@ -0,0 +1,1004 @@
+const https = require('https');
+const path = require('path');
+const { formatChange, formatChangeValue } = require('../changes');
+const { getEventSubject } = require('../events');
+const { logger } = require('../logger');
+const { buildMessageText } = require('../messages');
+const { metrics } = require('../metrics');
+const { createEventMatcher } = require('../routing');
+const { buildActionsBlock } = require('../slackInteractions');
+const { createMessageStore } = require('../slackMessages');
+const { createThreadStore } = require('../slackThreads');
+
+// Slack API errors that are worth retrying, everything else is treated as permanent
+const SLACK_RETRYABLE_ERRORS = [
+  'ratelimited',
+  'rate_limited',
+  'internal_error',
+  'fatal_error',
+  'service_unavailable',
+  'request_timeout',
+];
+
+// Slack read methods don't accept JSON bodies, so their arguments are sent form-encoded
+const SLACK_FORM_METHODS = [
+  'auth.test',
+  'conversations.info',
+  'conversations.list',
+  'users.list',
+  'users.lookupByEmail',
+];
+
+// Scopes the bot token needs for channel messages, mentions, DMs and channel checks (plus `commands` for buttons)
+const SLACK_REQUIRED_SCOPES = [
+  'chat:write',
+  'chat:write.public',
+  'users:read',
+  'users:read.email',
+  'im:write',
+  'channels:read',
+  'groups:read', // conversations.list and conversations.info also look at private channels
+];
+
+// Slack channel IDs, which conversations.info accepts directly instead of a name
+const SLACK_CHANNEL_ID_PATTERN = /^[CG][A-Z0-9]{6,}$/;
+
+// How long to wait for Slack before giving up on a request
+const SLACK_REQUEST_TIMEOUT = 10000;
+
+// How often the same server error is reported to the logging channel, so one that repeats doesn't flood it
+const ERROR_REPORT_INTERVAL = 10 * 60 * 1000;
+
+// Block Kit limits: characters in a section's text, and fields per section
+const SLACK_SECTION_LIMIT = 3000;
+const SLACK_SECTION_FIELDS = 10;
+
+// Events that edit the message already posted about their comment or task
+const SLACK_EDIT_EVENTS = ['commentUpdate', 'taskUpdate'];
+
+// Events that strike through or delete the message already posted about their comment, task or card
+const SLACK_DELETE_EVENTS = ['commentDelete', 'taskDelete', 'cardDelete'];
+
+// Edit/delete errors meaning the earlier message is gone, so a new one is posted instead
+const SLACK_MISSING_MESSAGE_ERRORS = ['message_not_found', 'cant_update_message', 'cant_delete_message'];
+
+// Card changes like 'due date: 1/2/2025 → 1/9/2025', split into field, old and new value
+const CHANGE_PATTERN = /^([^:]+): (.+) → (.+)$/;
+
+// Helper function to escape text for Slack mrkdwn, so card titles can't break links or fake mentions
+function escapeSlackText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Helper function to escape every piece of text in the details (but not their links), so a card title or
+// comment saying <!channel> can't ping anyone once a template puts it in a message
+function escapeSlackDetails(value, key = '') {
+  if (typeof value === 'string') {
+    return key.endsWith('Url') ? value : escapeSlackText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => escapeSlackDetails(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, escapeSlackDetails(item, name)]));
+  }
+  return value;
+}
+
+// Helper function to link text in Slack mrkdwn, if there is somewhere to link to; the text must already be escaped
+function slackLink(url, text) {
+  return url ? `<${url}|${text}>` : text;
+}
+
+// Helper function to build a Block Kit mrkdwn text object
+function mrkdwn(text) {
+  return { type: 'mrkdwn', text: text.substring(0, SLACK_SECTION_LIMIT) };
+}
+
+// Helper function to find the Planka entity a message is about, e.g. 'comment:123'
+function getMessageEntity(event, details) {
+  const ids = { comment: details.commentId, task: details.taskId, card: details.cardId };
+  const subject = getEventSubject(event);
+  return ids[subject] ? `${subject}:${ids[subject]}` : null;
+}
+
+// Helper function to get the main text of a message: its first section or attachment
+function getMessageSummary(message) {
+  return message.blocks?.[0]?.text?.text || message.attachments?.[0]?.text || message.text || '';
+}
+
+/**
+ * Builds the replacement for a message about something that was deleted: the old text struck
+ * through, followed by the deletion notice.
+ *
+ * @param {Object} previous - The earlier message, as recorded: { summary }
+ * @param {Object} message - Slack message object of the deletion, from buildSlackMessage
+ * @returns {Object} - Slack message object
+ */
+function buildStruckMessage(previous, message) {
+  // Strikethrough doesn't span lines in Slack, so each line is struck on its own
+  const struck = previous.summary
+    .split('\n')
+    .map((line) => (line.trim() ? `~${line}~` : line))
+    .join('\n');
+  // The deletion's heading repeats the card title, only its text is kept
+  const notice = `🗑️ ${getMessageSummary(message).split('\n').slice(1).join(' ')}`.trim();
+
+  if (message.blocks) {
+    return {
+      text: message.text,
+      blocks: [
+        { type: 'section', text: mrkdwn(struck) },
+        { type: 'context', elements: [mrkdwn(notice)] },
+      ],
+    };
+  }
+
+  return { text: message.text, attachments: [{ color: message.attachments[0].color, text: `${struck}\n${notice}` }] };
+}
+
+// Helper function to format a structured card change diff-style: *field* ~old~ → new, or *labels* +added ~removed~
+function formatSlackChange(change) {
+  if (change.added) {
+    const added = change.added.map((name) => `+${escapeSlackText(name)}`);
+    const removed = change.removed.map((name) => `~${escapeSlackText(name)}~`);
+    return `*${escapeSlackText(change.label)}*  ${[...added, ...removed].join('  ')}`;
+  }
+  if (typeof change.to === 'boolean') {
+    return `• ${escapeSlackText(formatChange(change))}`;
+  }
+
+  const from = escapeSlackText(formatChangeValue(change, change.from));
+  return `*${escapeSlackText(change.label)}*  ~${from}~ → ${escapeSlackText(formatChangeValue(change, change.to))}`;
+}
+
+// Helper function to format a description diff as a code block of - and + lines
+function formatSlackDiff(diff) {
+  if (diff.lines.length === 0) {
+    return '*description*  _only blank lines changed_';
+  }
+
+  const lines = diff.lines.map((line) => `${line.type === 'added' ? '+' : '-'} ${line.text.replace(/```/g, "'''")}`);
+  const more = diff.omitted > 0 ? `\n_…and ${diff.omitted} more changed ${diff.omitted === 1 ? 'line' : 'lines'}_` : '';
+  return `*description*\n\`\`\`${escapeSlackText(lines.join('\n'))}\`\`\`${more}`;
+}
+
+/**
+ * Builds the Block Kit blocks of a notification:
+ * - the (linked) card title with the template text and fields
+ * - the card's changes, diff-style: *field* ~old~ → new, and the description's changed lines
+ * - board › list breadcrumbs, linking to the board in Planka
+ * - labels, members and due date
+ * - buttons acting on the card in Planka, if given
+ *
+ * @param {Object} details - The card/comment details
+ * @param {Object} message - Rendered template parts, from buildMessageText with escaped details
+ * @param {Object|null} [actions] - Actions block, from buildActionsBlock
+ * @returns {Object[]} - Slack blocks
+ */
+function buildSlackBlocks(details, message, actions) {
+  const { emoji, title, blockBody, fields } = message;
+  const heading = `${emoji ? `${emoji} ` : ''}*${slackLink(details.cardUrl, title)}*`;
+  const blocks = [{ type: 'section', text: mrkdwn([heading, blockBody].filter(Boolean).join('\n')) }];
+
+  if (fields.length > 0) {
+    blocks[0].fields = fields.slice(0, SLACK_SECTION_FIELDS).map((field) => mrkdwn(`*${field.title}*\n${field.value}`));
+  }
+
+  // Structured changes first, then the ones only known as text (e.g. tasks and labels merged from a burst)
+  const records = details.changeRecords || [];
+  const recorded = records.map(formatChange);
+  const changes = [
+    ...records.filter((change) => change.field !== 'description').map(formatSlackChange),
+    ...(details.changes || [])
+      .filter((change) => !recorded.includes(change))
+      .map((change) => {
+        const [, field, from, to] = change.match(CHANGE_PATTERN) || [];
+        return field
+          ? `*${field}*  ~${escapeSlackText(from)}~ → ${escapeSlackText(to)}`
+          : `• ${escapeSlackText(change)}`;
+      }),
+  ];
+  if (changes.length > 0) {
+    blocks.push({ type: 'section', text: mrkdwn(changes.join('\n')) });
+  }
+
+  // The description diff gets a section of its own, so a long one can't crowd out the other changes
+  const description = records.find((change) => change.field === 'description');
+  if (description) {
+    blocks.push({ type: 'section', text: mrkdwn(formatSlackDiff(description.diff)) });
+  }
+
+  if (details.boardName && details.boardName !== 'N/A') {
+    const listName = slackLink(details.boardUrl, escapeSlackText(details.listName));
+    const list = details.fromListName ? `${escapeSlackText(details.fromListName)} → ${listName}` : listName;
+    blocks.push({
+      type: 'context',
+      elements: [mrkdwn(`🗂️ ${slackLink(details.boardUrl, escapeSlackText(details.boardName))} › ${list}`)],
+    });
+  }
+
+  const meta = [];
+  if (details.labels && details.labels.length > 0) {
+    meta.push(`🏷️ ${details.labels.map(escapeSlackText).join(', ')}`);
+  }
+  if (details.members && details.members.length > 0) {
+    meta.push(`👥 ${details.members.map(escapeSlackText).join(', ')}`);
+  }
+  if (details.dueDate) {
+    // Slack shows the date in each reader's own timezone, with the plain date as fallback
+    const dueDate = new Date(details.dueDate);
+    const timestamp = Math.floor(dueDate.getTime() / 1000);
+    meta.push(`📅 Due <!date^${timestamp}^{date_short_pretty}|${dueDate.toLocaleDateString()}>`);
+  }
+  if (meta.length > 0) {
+    blocks.push({ type: 'context', elements: meta.map(mrkdwn) });
+  }
+
+  if (actions) {
+    blocks.push(actions);
+  }
+
+  return blocks;
+}
+
+/**
+ * Creates the Slack notifier, which posts through the Web API (Bot Token).
+ *
+ * Slack targets are written without a notifier prefix in card descriptions:
+ * - & (ampersand) - shared channels
+ * - # (hash/pound) - regular channels
+ * - @ (at sign) - users, mentioned in the message (or sent a direct message, see `directMessages`)
+ *
+ * With threads enabled (the default), the first message about a card in a channel becomes the
+ * thread parent and every later event on that card replies in the thread.
+ *
+ * @param {Object} slack - The `slack` section of config.js
+ * @param {Object} options
+ * @param {string} [options.tenant] - Tenant name, the `tenant` label of the Slack API metrics
+ * @param {string} options.dataDir - Directory for the persisted thread mapping
+ * @param {Object} options.templates - Message templates from createTemplates()
+ * @param {boolean} [options.interactive] - Whether to add buttons that act in Planka (see /slack/interactions)
+ * @returns {Object} - Notifier, plus Slack-specific helpers
+ */
+function createSlackNotifier(slack, { tenant = 'default', dataDir, templates, interactive }) {
+  // Cached Slack user lookups, keyed by lowercased target or email, plus the full user directory
+  const slackUserCache = new Map();
+  let slackUserDirectory = null;
+
+  // Card threads: which message each card's updates reply to, and which replies are also sent to the channel
+  const threadSettings = { enabled: true, broadcast: [], ...slack.threads };
+  const threads = threadSettings.enabled
+    ? createThreadStore(path.join(dataDir, 'slack-threads.json'), threadSettings.maxAgeDays)
+    : null;
+  const broadcastMatchers = threadSettings.broadcast.map((match, index) =>
+    createEventMatcher(match, `Slack thread broadcast #${index + 1}`)
+  );
+
+  // Messages posted about each card, comment and task, so edits and deletions change them in place
+  const messages = createMessageStore(path.join(dataDir, 'slack-messages.json'), threadSettings.maxAgeDays);
+  const deletedMessages = slack.deletedMessages || 'strike';
+
+  // Scopes of the bot token, from the X-OAuth-Scopes header of the last Slack response
+  let grantedScopes = null;
+
+  // Server errors reported to the logging channel, with when they were reported
+  const reportedErrors = new Map();
+
+  /**
+   * Works out where a notification should be delivered in Slack.
+   *
+   * Every channel target (& or #) gets its own delivery. If the card lists no channels, the
+   * notification goes to the configured default channel, or - when direct messages are enabled -
+   * to each @mentioned user that exists in the workspace.
+   *
+   * @param {string[]} targets - Array of Slack targets (&channels, #channels, @users)
+   * @returns {Promise<string[]>} - Destinations: channels (with & or # prefix) or @users to DM
+   */
+  async function getSlackDestinations(targets) {
+    // Check if Slack Bot Token is configured
+    if (!slack || !slack.botToken) {
+      logger.warn('⚠️  Slack bot token not configured. Skipping notification.');
+      return [];
+    }
+
+    const channelTargets = targets.filter((target) => target.startsWith('&') || target.startsWith('#'));
+
+    if (channelTargets.length > 0) {
+      return channelTargets;
+    }
+
+    if (slack.directMessages) {
+      const resolvedUsers = await resolveSlackUsers(targets.filter((target) => target.startsWith('@')));
+
+      if (Object.keys(resolvedUsers).length > 0) {
+        return Object.keys(resolvedUsers);
+      }
+    }
+
+    return [slack.defaultChannel || '#general'];
+  }
+
+  /**
+   * Sends a notification to one Slack destination using the Web API (Bot Token).
+   *
+   * @param {string} event - The Planka event type (e.g., 'cardCreate', 'commentCreate')
+   * @param {Object} details - The card/comment details
+   * @param {string[]} targets - Array of Slack targets (&channels, #channels, @users)
+   * @param {string} destination - Channel (with & or # prefix) or @user to send a direct message to
+   * @returns {Promise<Object>} - Delivery result: { channel, ok, error, retryable, retryAfter }
+   */
+  async function sendSlackNotification(event, details, targets, destination) {
+    // Resolve @mentions to Slack user IDs so the people listed actually get pinged
+    const userTargets = targets.filter((target) => target.startsWith('@'));
+    const resolvedUsers = await resolveSlackUsers(userTargets);
+
+    // Who made the change is shown by their Slack name, a mention would ping them about it
+    const actorSlackName =
+      details.actorSlackId && slack.mentionActor !== false ? await findSlackDisplayName(details.actorSlackId) : null;
+    const message = buildSlackMessage(event, { ...details, actorSlackName }, targets, resolvedUsers, destination);
+
+    if (destination.startsWith('@')) {
+      if (!resolvedUsers[destination]) {
+        return { channel: destination, ok: false, error: 'user_not_found' };
+      }
+      if (resolvedUsers[destination] === details.actorSlackId) {
+        // Nobody is messaged about their own change
+        return { channel: destination, ok: true };
+      }
+      return sendSlackDirectMessage(resolvedUsers[destination], message, details, event);
+    }
+
+    return postSlackMessage(destination, message, details, event);
+  }
+
+  /**
+   * Works out the Web API call that delivers a message to a channel, without making it: a change
+   * to the message posted earlier about the comment, task or card, or else a new post (in the
+   * card's thread if it has one).
+   *
+   * @param {string} channelName - The channel without prefix (e.g. 'dev' or a DM channel ID)
+   * @param {Object} message - Slack message object from buildSlackMessage
+   * @param {Object} details - The card/comment details
+   * @param {string} event - The Planka event type
+   * @returns {Object} - { method, payload, entity, previous, thread, isDelete }
+   */
+  function planSlackDelivery(channelName, message, details, event) {
+    const entity = getMessageEntity(event, details);
+    const previous = entity ? messages.get(entity, channelName) : null;
+    const isDelete = SLACK_DELETE_EVENTS.includes(event);
+    const plan = { entity, previous, thread: null, isDelete };
+
+    if (previous && (SLACK_EDIT_EVENTS.includes(event) || (isDelete && deletedMessages !== 'post'))) {
+      const target = { channel: previous.channelId, ts: previous.ts };
+
+      if (isDelete && deletedMessages === 'delete') {
+        return { ...plan, method: 'chat.delete', payload: target };
+      }
+      const change = isDelete ? buildStruckMessage(previous, message) : message;
+      return { ...plan, method: 'chat.update', payload: { ...target, ...change } };
+    }
+
+    const payload = {
+      channel: channelName,
+      username: slack.botUsername || 'Planka Bot',
+      icon_emoji: slack.botIcon || ':card_index:',
+      text: message.text,
+      attachments: message.attachments,
+      blocks: message.blocks,
+    };
+
+    // Reply in the card's thread in this channel, if it has one
+    const thread = threads && details.cardId ? threads.get(details.cardId, channelName) : null;
+    if (thread) {
+      payload.thread_ts = thread.ts;
+      payload.reply_broadcast = broadcastMatchers.some((matches) => matches(event, details)) || undefined;
+    }
+
+    return { ...plan, method: 'chat.postMessage', payload, thread };
+  }
+
+  /**
+   * Posts a prepared message to a single Slack channel, in the card's thread if it has one.
+   * Edits and deletions change the message posted earlier instead, when there is one.
+   *
+   * @param {string} channel - The channel name (with # or & prefix)
+   * @param {Object} message - Slack message object from buildSlackMessage
+   * @param {Object} details - The card/comment details
+   * @param {string} event - The Planka event type, used to decide whether a reply is broadcast
+   * @returns {Promise<Object>} - Delivery result: { channel, ok, error, ts }
+   */
+  async function postSlackMessage(channel, message, details, event) {
+    try {
+      // Convert channel name to proper format (remove prefix for API call)
+      const channelName = channel.replace(/^[&#]/, '');
+      let plan = planSlackDelivery(channelName, message, details, event);
+
+      if (plan.method !== 'chat.postMessage') {
+        const result = await changeSlackMessage(channel, plan);
+        if (!SLACK_MISSING_MESSAGE_ERRORS.includes(result.error)) {
+          if (result.ok && plan.isDelete) {
+            messages.remove(plan.entity, channelName);
+          } else if (result.ok) {
+            messages.set(plan.entity, channelName, { ...plan.previous, summary: getMessageSummary(message) });
+          }
+          return result;
+        }
+
+        // The earlier message is gone, so a new one is posted
+        messages.remove(plan.entity, channelName);
+        plan = planSlackDelivery(channelName, message, details, event);
+      }
+
+      const { payload, thread, entity, isDelete } = plan;
+
+      // Send via Web API
+      const response = await makeSlackApiRequest('chat.postMessage', payload);
+
+      if (response.ok) {
+        logger.info(`✅ Slack notification sent to ${channel}${thread ? ' (in thread)' : ''}`);
+        if (threads && details.cardId) {
+          // The first message becomes the thread parent, later replies just keep the thread alive
+          threads.set(details.cardId, channelName, thread ? {} : { ts: response.ts, channelId: response.channel });
+        }
+        // The first message about a card (its thread parent) stands for the card
+        if (entity && !isDelete && !messages.get(entity, channelName)) {
+          messages.set(entity, channelName, {
+            ts: response.ts,
+            channelId: response.channel,
+            summary: getMessageSummary(message),
+          });
+        }
+        return { channel, ok: true, error: null, ts: response.ts };
+      }
+
+      logger.error(`❌ Slack notification to ${channel} failed: ${response.error}`);
+      // If API fails due to channel access, log it
+      if (response.error === 'channel_not_found' || response.error === 'not_in_channel') {
+        await logChannelAccessError(channel, details.cardTitle);
+      }
+      return { channel, ok: false, error: response.error, retryable: SLACK_RETRYABLE_ERRORS.includes(response.error) };
+    } catch (error) {
+      logger.error(`❌ Error sending Slack notification to ${channel}: ${error.message}`);
+      return {
+        channel,
+        ok: false,
+        error: error.message,
+        code: error.code,
+        retryable: !!error.retryable,
+        retryAfter: error.retryAfter,
+      };
+    }
+  }
+
+  /**
+   * Edits or removes a message posted earlier, as planned by planSlackDelivery.
+   *
+   * @param {string} channel - The channel as given to postSlackMessage, for logging
+   * @param {Object} plan - Delivery plan with method chat.update or chat.delete
+   * @returns {Promise<Object>} - Delivery result: { channel, ok, error, ts }
+   */
+  async function changeSlackMessage(channel, plan) {
+    const response = await makeSlackApiRequest(plan.method, plan.payload);
+
+    if (response.ok) {
+      const action = plan.method === 'chat.delete' ? 'deleted' : plan.isDelete ? 'struck through' : 'updated';
+      logger.info(`✅ Slack message in ${channel} ${action}`);
+      return { channel, ok: true, error: null, ts: plan.previous.ts };
+    }
+
+    logger.error(`❌ Changing Slack message in ${channel} failed: ${response.error}`);
+    return { channel, ok: false, error: response.error, retryable: SLACK_RETRYABLE_ERRORS.includes(response.error) };
+  }
+
+  /**
+   * Shows the Web API calls a notification would make, without calling Slack or recording
+   * anything; used by dry runs. Mentions aren't resolved to user IDs, and notifications that
+   * would be sent as direct messages are shown in the default channel.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   * @param {string[]} targets - Array of Slack targets (&channels, #channels, @users)
+   * @returns {Object[]} - One { destination, method, payload } per destination
+   */
+  function previewSlackNotification(event, details, targets) {
+    const channelTargets = targets.filter((target) => target.startsWith('&') || target.startsWith('#'));
+    const destinations = channelTargets.length > 0 ? channelTargets : [slack.defaultChannel || '#general'];
+
+    return destinations.map((destination) => {
+      const message = buildSlackMessage(event, details, targets, {}, destination);
+      const { method, payload } = planSlackDelivery(destination.replace(/^[&#]/, ''), message, details, event);
+      return { destination, method, payload };
+    });
+  }
+
+  /**
+   * Sends a notification to a single Slack user as a direct message.
+   *
+   * @param {string} userId - The Slack user ID (e.g., 'U123ABC')
+   * @param {Object} message - Slack message object from buildSlackMessage
+   * @param {Object} details - The card/comment details
+   * @param {string} event - The Planka event type
+   * @returns {Promise<Object>} - Delivery result: { channel, ok, error, ts }
+   */
+  async function sendSlackDirectMessage(userId, message, details, event) {
+    try {
+      const conversation = await makeSlackApiRequest('conversations.open', { users: userId });
+
+      if (!conversation.ok) {
+        logger.error(`❌ Could not open DM with ${userId}: ${conversation.error}`);
+        return {
+          channel: userId,
+          ok: false,
+          error: conversation.error,
+          retryable: SLACK_RETRYABLE_ERRORS.includes(conversation.error),
+        };
+      }
+
+      return await postSlackMessage(conversation.channel.id, message, details, event);
+    } catch (error) {
+      logger.error(`❌ Error sending Slack DM to ${userId}: ${error.message}`);
+      return {
+        channel: userId,
+        ok: false,
+        error: error.message,
+        retryable: !!error.retryable,
+        retryAfter: error.retryAfter,
+      };
+    }
+  }
+
+  // Helper function to get the user lookup cache lifetime in milliseconds
+  function getSlackUserCacheTtl() {
+    const seconds = slack.userCacheTtl !== undefined ? slack.userCacheTtl : 3600;
+    return seconds * 1000;
+  }
+
+  // Helper function to normalise names so "@john.smith" matches "John Smith"
+  function normalizeSlackName(name) {
+    return (name || '').toLowerCase().replace(/[\s._-]/g, '');
+  }
+
+  /**
+   * Fetches every member of the Slack workspace via users.list, following pagination.
+   * The directory is cached for the configured TTL.
+   *
+   * @returns {Promise<Object[]>} - Array of Slack user objects
+   */
+  async function getSlackUserDirectory() {
+    if (slackUserDirectory && slackUserDirectory.expiresAt > Date.now()) {
+      return slackUserDirectory.members;
+    }
+
+    const members = [];
+    let cursor;
+
+    do {
+      const response = await makeSlackApiRequest('users.list', { limit: 200, cursor });
+
+      if (!response.ok) {
+        throw new Error(`users.list failed: ${response.error}`);
+      }
+
+      members.push(...response.members.filter((member) => !member.deleted && !member.is_bot));
+      cursor = response.response_metadata?.next_cursor;
+    } while (cursor);
+
+    slackUserDirectory = { members, expiresAt: Date.now() + getSlackUserCacheTtl() };
+    return members;
+  }
+
+  /**
+   * Resolves a single @target to a Slack user ID.
+   *
+   * Email targets (@john@example.com) use users.lookupByEmail. Anything else is matched
+   * against the workspace directory by username, display name, or real name.
+   * Both hits and misses are cached so a busy board doesn't hit the user directory on every webhook.
+   *
+   * @param {string} target - The user target (with @ prefix)
+   * @returns {Promise<string|null>} - The Slack user ID, or null if no user matched
+   */
+  async function resolveSlackUser(target) {
+    const key = target.replace(/^@/, '').toLowerCase();
+    const cached = slackUserCache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.userId;
+    }
+
+    let userId = null;
+
+    if (key.includes('@')) {
+      const response = await makeSlackApiRequest('users.lookupByEmail', { email: key });
+      userId = response.ok ? response.user.id : null;
+    } else {
+      const wanted = normalizeSlackName(key);
+      const members = await getSlackUserDirectory();
+      const match = members.find((member) =>
+        [member.name, member.profile?.display_name, member.profile?.real_name, member.real_name].some(
+          (name) => name && normalizeSlackName(name) === wanted
+        )
+      );
+      userId = match ? match.id : null;
+    }
+
+    if (!userId) {
+      logger.warn(`⚠️  Could not find a Slack user for ${target}`);
+    }
+
+    slackUserCache.set(key, { userId, expiresAt: Date.now() + getSlackUserCacheTtl() });
+    return userId;
+  }
+
+  /**
+   * Resolves a single @target to a Slack user, with the timezone from their Slack profile.
+   *
+   * @param {string} target - The user target (with @ prefix), or a Slack user ID
+   * @returns {Promise<Object|null>} - { id, name, tz }, or null if no user matched
+   */
+  async function resolveSlackUserProfile(target) {
+    const members = await getSlackUserDirectory();
+    const userId = members.some((member) => member.id === target) ? target : await resolveSlackUser(target);
+    const member = members.find((candidate) => candidate.id === userId);
+
+    return userId ? { id: userId, name: member?.name || null, tz: member?.tz || null } : null;
+  }
+
+  // Helper function to find the name a Slack user goes by, or null if it can't be looked up
+  async function findSlackDisplayName(userId) {
+    try {
+      const member = (await getSlackUserDirectory()).find((candidate) => candidate.id === userId);
+      return member ? member.profile?.display_name || member.real_name || member.name || null : null;
+    } catch (error) {
+      logger.error(`❌ Error looking up Slack user ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Resolves a list of @targets to Slack user IDs. Targets that can't be resolved are left out,
+   * so they are shown as plain text in the message.
+   *
+   * @param {string[]} userTargets - Array of user targets (with @ prefix)
+   * @returns {Promise<Object>} - Map of target to Slack user ID, e.g. { '@john': 'U123ABC' }
+   */
+  async function resolveSlackUsers(userTargets) {
+    const resolved = {};
+
+    for (const target of userTargets) {
+      try {
+        const userId = await resolveSlackUser(target);
+        if (userId) {
+          resolved[target] = userId;
+        }
+      } catch (error) {
+        logger.error(`❌ Error resolving Slack user ${target}: ${error.message}`);
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Builds the Slack message based on the event type and details.
+   *
+   * Who made the change is shown by their Slack name (`details.actorSlackName`, see `slack.mentionActor`)
+   * rather than a mention, and is left out of the pings: @targets that are them stay plain text and get
+   * no direct message. With `slack.mentionMembers`, the card's members (and a task's assignee) are
+   * mentioned too.
+   *
+   * Messages use Block Kit (see buildSlackBlocks) unless `slack.messageFormat`, or the event's
+   * template, asks for legacy attachments with a colour bar.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   * @param {string[]} targets - Array of Slack targets
+   * @param {Object} [resolvedUsers] - Map of @target to Slack user ID, from resolveSlackUsers
+   * @param {string} [channel] - The destination, for per-channel templates
+   * @returns {Object} - Slack message object
+   */
+  function buildSlackMessage(event, details, targets, resolvedUsers = {}, channel) {
+    const actorId = details.actorSlackId || null;
+    const userTargets = targets.filter((target) => target.startsWith('@'));
+    const mentions = userTargets.map((target) =>
+      resolvedUsers[target] && resolvedUsers[target] !== actorId
+        ? `<@${resolvedUsers[target]}>`
+        : escapeSlackText(target)
+    );
+
+    if (slack.mentionMembers) {
+      const mentioned = Object.values(resolvedUsers);
+      for (const memberId of details.memberSlackIds || []) {
+        if (memberId !== actorId && !mentioned.includes(memberId)) {
+          mentions.push(`<@${memberId}>`);
+        }
+      }
+    }
+
+    // Templates are written in mrkdwn, the text they are filled in with is escaped
+    const shownDetails = escapeSlackDetails(
+      details.actorSlackName ? { ...details, username: details.actorSlackName } : details
+    );
+    const message = buildMessageText(event, shownDetails, { mentions, channel, templates });
+    const { emoji, title, body, color, fields } = message;
+    const heading = `${emoji ? `${emoji} ` : ''}*${slackLink(details.cardUrl, title)}*`;
+
+    if ((message.format || slack.messageFormat || 'blocks') === 'blocks') {
+      return {
+        // Shown in notifications, where blocks aren't rendered
+        text: [`${emoji ? `${emoji} ` : ''}${title}`, ...mentions].join(' '),
+        blocks: buildSlackBlocks(details, message, interactive ? buildActionsBlock(event, details) : null),
+      };
+    }
+
+    return {
+      // Mentions inside attachments don't notify anyone, so they are repeated in the top-level text
+      text: mentions.some((mention) => mention.startsWith('<@')) ? mentions.join(' ') : undefined,
+      attachments: [
+        {
+          color: color,
+          text: body ? `${heading}\n${body}` : heading,
+          fields: fields.length > 0 ? fields.map((field) => ({ ...field, short: true })) : undefined,
+          footer: 'Planka',
+          ts: Math.floor(Date.now() / 1000),
+        },
+      ],
+    };
+  }
+
+  // Helper function to find a channel by ID or name, or null if the bot can't see it
+  async function findChannel(channelName) {
+    if (SLACK_CHANNEL_ID_PATTERN.test(channelName)) {
+      const response = await makeSlackApiRequest('conversations.info', { channel: channelName });
+      if (!response.ok && response.error !== 'channel_not_found') {
+        throw new Error(response.error);
+      }
+      return response.ok ? response.channel : null;
+    }
+
+    let cursor;
+    do {
+      const response = await makeSlackApiRequest('conversations.list', {
+        types: 'public_channel,private_channel',
+        limit: 1000,
+        cursor,
+      });
+      if (!response.ok) {
+        throw new Error(response.error);
+      }
+
+      const found = response.channels.find((candidate) => candidate.name === channelName);
+      if (found) {
+        return found;
+      }
+      cursor = response.response_metadata?.next_cursor;
+    } while (cursor);
+
+    return null;
+  }
+
+  /**
+   * Checks if the bot can post to a specific Slack channel using the Web API: the channel must
+   * exist and not be archived, and private channels need the bot as a member.
+   *
+   * @param {string} channel - The channel name (with # or & prefix) or ID
+   * @returns {Promise<Object>} - { ok, error }
+   */
+  async function checkChannelAccess(channel) {
+    if (!slack.botToken) {
+      return { ok: true }; // Skip check if no bot token configured
+    }
+
+    try {
+      // Convert channel name to proper format (remove prefix for API call)
+      const found = await findChannel(channel.replace(/^[&#]/, ''));
+
+      if (!found) {
+        return { ok: false, error: 'channel_not_found' };
+      }
+      if (found.is_archived) {
+        return { ok: false, error: 'is_archived' };
+      }
+      if (found.is_private && !found.is_member) {
+        return { ok: false, error: 'not_in_channel' };
+      }
+      return { ok: true };
+    } catch (error) {
+      logger.error(`❌ Error checking channel access for ${channel}: ${error.message}`);
+      return { ok: false, error: error.message };
+    }
+  }
+
+  /**
+   * Checks the Slack setup for GET /health?deep=1: the bot token (auth.test), its scopes, and
+   * whether the logging and default channels can be posted to.
+   *
+   * @returns {Promise<Object>} - Checks by name, each with ok and the details found
+   */
+  async function checkSlackHealth() {
+    let identity;
+    try {
+      identity = await makeSlackApiRequest('auth.test', {});
+    } catch (error) {
+      identity = { ok: false, error: error.message };
+    }
+
+    if (!identity.ok) {
+      // Scopes and channels can't be checked without a working token
+      return { slackToken: { ok: false, error: identity.error } };
+    }
+
+    const requiredScopes = interactive ? [...SLACK_REQUIRED_SCOPES, 'commands'] : SLACK_REQUIRED_SCOPES;
+    const missingScopes = grantedScopes ? requiredScopes.filter((scope) => !grantedScopes.includes(scope)) : [];
+
+    const channels = [...new Set([slack.loggingChannel, slack.defaultChannel || '#general'].filter(Boolean))];
+    const results = [];
+    for (const channel of channels) {
+      results.push({ channel, ...(await checkChannelAccess(channel)) });
+    }
+
+    return {
+      slackToken: { ok: true, team: identity.team, bot: identity.user },
+      slackScopes: { ok: missingScopes.length === 0, granted: grantedScopes, missing: missingScopes },
+      slackChannels: { ok: results.every((result) => result.ok), channels: results },
+    };
+  }
+
+  /**
+   * Logs a channel access error to the designated logging channel.
+   *
+   * @param {string} channel - The channel that couldn't be accessed
+   * @param {string} cardTitle - The card title that triggered the notification
+   */
+  async function logChannelAccessError(channel, cardTitle) {
+    if (!slack.loggingChannel || !slack.botToken) {
+      logger.warn(`⚠️  Cannot access ${channel} and no logging channel configured`);
+      return;
+    }
+
+    try {
+      const message = {
+        channel: slack.loggingChannel.replace(/^#/, ''),
+        text: `🚫 *Channel Access Needed*\n\nI need to be invited to ${channel} to send notifications.\n\nTriggered by Planka card: "${escapeSlackText(cardTitle)}"\n\nTo fix this, someone with access to ${channel} should run:\n\`/invite @${slack.botUsername || 'Planka Bot'}\``,
+        username: slack.botUsername || 'Planka Bot',
+        icon_emoji: slack.botIcon || ':warning:',
+      };
+
+      await makeSlackApiRequest('chat.postMessage', message);
+      logger.info(`📝 Logged channel access error for ${channel} to ${slack.loggingChannel}`);
+    } catch (error) {
+      logger.error(`❌ Error logging channel access error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reports an unexpected server error to the designated logging channel.
+   * The same error is reported at most once every ERROR_REPORT_INTERVAL.
+   *
+   * @param {string} context - What failed, e.g. 'POST /webhook'
+   * @param {Error} error - The error
+   */
+  async function logServerError(context, error) {
+    if (!slack.loggingChannel || !slack.botToken) {
+      return;
+    }
+
+    const now = Date.now();
+    const key = `${context}: ${error.message}`;
+    for (const [reported, reportedAt] of reportedErrors) {
+      if (now - reportedAt >= ERROR_REPORT_INTERVAL) {
+        reportedErrors.delete(reported);
+      }
+    }
+    if (reportedErrors.has(key)) {
+      return;
+    }
+    reportedErrors.set(key, now);
+
+    try {
+      await makeSlackApiRequest('chat.postMessage', {
+        channel: slack.loggingChannel.replace(/^#/, ''),
+        text: `🔥 *Webhook Server Error*\n\n${escapeSlackText(context)} failed: \`${escapeSlackText(error.message)}\`\n\nThe server kept running; see its logs for the details.`,
+        username: slack.botUsername || 'Planka Bot',
+        icon_emoji: slack.botIcon || ':warning:',
+      });
+      logger.info(`📝 Logged server error to ${slack.loggingChannel}`);
+    } catch (reportError) {
+      logger.error(`❌ Error logging server error: ${reportError.message}`);
+    }
+  }
+
+  /**
+   * Makes a request to the Slack Web API.
+   *
+   * Network errors, timeouts, rate limiting (HTTP 429) and server errors (HTTP 5xx) reject
+   * with an error flagged as `retryable`; rate limiting also sets `retryAfter` in seconds.
+   *
+   * @param {string} method - The API method (e.g., 'chat.postMessage')
+   * @param {Object} data - The request data
+   * @returns {Promise<Object>} - The API response
+   */
+  async function makeSlackApiRequest(method, data) {
+    const startedAt = process.hrtime.bigint();
+
+    return new Promise((resolve, reject) => {
+      const isForm = SLACK_FORM_METHODS.includes(method);
+      const postData = isForm
+        ? new URLSearchParams(Object.entries(data).filter(([, value]) => value !== undefined)).toString()
+        : JSON.stringify(data);
+
+      const options = {
+        hostname: 'slack.com',
+        port: 443,
+        path: `/api/${method}`,
+        method: 'POST',
+        headers: {
+          'Content-Type': isForm ? 'application/x-www-form-urlencoded' : 'application/json',
+          Authorization: `Bearer ${slack.botToken}`,
+          'Content-Length': Buffer.byteLength(postData),
+        },
+      };
+
+      const req = https.request(options, (res) => {
+        let responseData = '';
+
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+
+        res.on('end', () => {
+          if (res.headers['x-oauth-scopes'] !== undefined) {
+            grantedScopes = res.headers['x-oauth-scopes'].split(',').map((scope) => scope.trim());
+          }
+
+          if (res.statusCode === 429 || res.statusCode >= 500) {
+            const error = new Error(res.statusCode === 429 ? 'ratelimited' : `Slack returned HTTP ${res.statusCode}`);
+            error.code = res.statusCode === 429 ? 'ratelimited' : `http_${res.statusCode}`;
+            error.retryable = true;
+            error.retryAfter = res.statusCode === 429 ? Number(res.headers['retry-after']) || 1 : undefined;
+            reject(error);
+            return;
+          }
+
+          try {
+            const response = JSON.parse(responseData);
+            resolve(response);
+          } catch (error) {
+            reject(Object.assign(new Error(`Invalid JSON response: ${responseData}`), { code: 'invalid_response' }));
+          }
+        });
+      });
+
+      req.setTimeout(SLACK_REQUEST_TIMEOUT, () => {
+        req.destroy(Object.assign(new Error(`Slack API request to ${method} timed out`), { code: 'ETIMEDOUT' }));
+      });
+
+      req.on('error', (error) => {
+        // Network failures and timeouts never got an answer from Slack, so they are safe to retry
+        error.retryable = true;
+        reject(error);
+      });
+
+      req.write(postData);
+      req.end();
+    }).finally(() => {
+      metrics.slackApiDuration.observe({ tenant, method }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+  }
+
+  return {
+    name: 'slack',
+    getDestinations: getSlackDestinations,
+    send: sendSlackNotification,
+    resolveUser: resolveSlackUserProfile,
+    findThreadCard: (channelId, ts) => (threads ? threads.findCard(channelId, ts) : null),
+    buildSlackMessage,
+    previewSlackNotification,
+    checkChannelAccess,
+    checkSlackHealth,
+    logServerError,
+    makeSlackApiRequest,
+  };
+}
+
+module.exports = { createSlackNotifier };
@@ -0,0 +1,66 @@
+const { postJson } = require('../httpClient');
+const { logger } = require('../logger');
+const { buildMessageText, toMarkdown } = require('../messages');
+const { filterNamedTargets } = require('./namedTargets');
+
+/**
+ * Creates the Microsoft Teams notifier, which posts Adaptive Cards to Teams incoming webhooks
+ * (Workflows or legacy connectors).
+ *
+ * Targets name a webhook from config: `notify teams:ops` posts to `teams.webhooks.ops`.
+ *
+ * @param {Object} teams - The `teams` section of config.js
+ * @param {Object} options
+ * @param {Object} options.templates - Message templates from createTemplates()
+ * @returns {Object} - Notifier
+ */
+function createTeamsNotifier(teams, { templates }) {
+  async function getDestinations(targets) {
+    return filterNamedTargets('teams', targets, teams.webhooks);
+  }
+
+  /**
+   * Builds the Teams message based on the event type and details.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   * @param {string} destination - The webhook name, for per-channel templates
+   * @returns {Object} - Teams message with a single Adaptive Card attachment
+   */
+  function buildTeamsMessage(event, details, destination) {
+    const { text } = buildMessageText(event, details, { templates, channel: `teams:${destination}` });
+    const [title, ...lines] = toMarkdown(text).split('\n');
+
+    return {
+      type: 'message',
+      attachments: [
+        {
+          contentType: 'application/vnd.microsoft.card.adaptive',
+          content: {
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            type: 'AdaptiveCard',
+            version: '1.4',
+            body: [
+              { type: 'TextBlock', text: title, weight: 'Bolder', wrap: true },
+              ...lines.map((line) => ({ type: 'TextBlock', text: line, wrap: true, spacing: 'Small' })),
+            ],
+          },
+        },
+      ],
+    };
+  }
+
+  async function send(event, details, targets, destination) {
+    const result = await postJson(teams.webhooks[destination], buildTeamsMessage(event, details, destination));
+    logger[result.ok ? 'info' : 'error'](
+      result.ok
+        ? `✅ Teams notification sent to ${destination}`
+        : `❌ Teams notification to ${destination} failed: ${result.error}`
+    );
+    return { channel: destination, ...result };
+  }
+
+  return { name: 'teams', getDestinations, send };
+}
+
+module.exports = { createTeamsNotifier };
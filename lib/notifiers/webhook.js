@@ -0,0 +1,48 @@
+const { postJson } = require('../httpClient');
+const { logger } = require('../logger');
+const { buildMessageText, toPlainText } = require('../messages');
+const { filterNamedTargets } = require('./namedTargets');
+
+/**
+ * Creates the generic webhook notifier, which posts the event and its details as JSON.
+ *
+ * Targets name an endpoint from config: `notify webhook:deploy` posts to `webhook.endpoints.deploy`.
+ * An endpoint is either a URL or `{ url, headers }`.
+ *
+ * @param {Object} webhook - The `webhook` section of config.js
+ * @param {Object} options
+ * @param {Object} options.templates - Message templates from createTemplates()
+ * @returns {Object} - Notifier
+ */
+function createWebhookNotifier(webhook, { templates }) {
+  async function getDestinations(targets) {
+    return filterNamedTargets('webhook', targets, webhook.endpoints);
+  }
+
+  async function send(event, details, targets, destination) {
+    const endpoint = webhook.endpoints[destination];
+    const { url, headers } = typeof endpoint === 'string' ? { url: endpoint } : endpoint;
+    const { text } = buildMessageText(event, details, { templates, channel: `webhook:${destination}` });
+
+    const result = await postJson(
+      url,
+      {
+        event,
+        text: toPlainText(text),
+        details,
+        timestamp: new Date().toISOString(),
+      },
+      headers
+    );
+    logger[result.ok ? 'info' : 'error'](
+      result.ok
+        ? `✅ Webhook notification sent to ${destination}`
+        : `❌ Webhook notification to ${destination} failed: ${result.error}`
+    );
+    return { channel: destination, ...result };
+  }
+
+  return { name: 'webhook', getDestinations, send };
+}
+
+module.exports = { createWebhookNotifier };
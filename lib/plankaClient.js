@@ -0,0 +1,123 @@
+const { requestJson } = require('./httpClient');
+
+// Planka list types that hold cards in the workflow; archive and trash lists are left out
+const WORKFLOW_LIST_TYPES = ['active', 'closed'];
+
+// Position for cards moved by the bot, near the top of the list
+const MOVED_CARD_POSITION = 65535;
+
+/**
+ * Creates a client for the Planka REST API, acting as the service user from config.js.
+ *
+ * The service user signs in with `username` and `password` (an access token is requested on
+ * first use and again when it expires), or uses a long-lived `apiToken` directly.
+ *
+ * @param {Object} planka - The `planka` section of config.js
+ * @returns {Object|null} - Client, or null if no service user is configured
+ */
+function createPlankaClient(planka = {}) {
+  const baseUrl = (planka.baseUrl || '').replace(/\/+$/, '');
+
+  if (!baseUrl || (!planka.apiToken && !(planka.username && planka.password))) {
+    return null;
+  }
+
+  let accessToken = planka.apiToken || null;
+
+  // Helper function to sign in as the service user
+  async function signIn() {
+    const result = await requestJson('POST', `${baseUrl}/api/access-tokens`, {
+      emailOrUsername: planka.username,
+      password: planka.password,
+    });
+
+    if (!result.ok) {
+      throw new Error(`Planka sign-in failed: ${result.error}`);
+    }
+    accessToken = JSON.parse(result.body).item;
+  }
+
+  /**
+   * Calls the Planka API, signing in first if needed.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} apiPath - Path below /api, e.g. '/cards/123'
+   * @param {Object} [body] - JSON payload
+   * @returns {Promise<Object>} - The parsed response, e.g. { item, included }
+   */
+  async function request(method, apiPath, body) {
+    if (!accessToken) {
+      await signIn();
+    }
+
+    let result = await requestJson(method, `${baseUrl}/api${apiPath}`, body, {
+      Authorization: `Bearer ${accessToken}`,
+    });
+
+    // Access tokens of signed in users expire; sign in again once
+    if (result.statusCode === 401 && !planka.apiToken) {
+      await signIn();
+      result = await requestJson(method, `${baseUrl}/api${apiPath}`, body, { Authorization: `Bearer ${accessToken}` });
+    }
+
+    if (!result.ok) {
+      throw new Error(`Planka ${method} ${apiPath} failed: ${result.error}`);
+    }
+    return JSON.parse(result.body || '{}');
+  }
+
+  /**
+   * Marks a task as done.
+   *
+   * @param {string} taskId - The Planka task ID
+   * @returns {Promise<Object>} - The updated task
+   */
+  async function completeTask(taskId) {
+    const { item } = await request('PATCH', `/tasks/${taskId}`, { isCompleted: true });
+    return item;
+  }
+
+  /**
+   * Moves a card to the list after its current one on the board.
+   *
+   * @param {string} cardId - The Planka card ID
+   * @returns {Promise<{ card: Object, fromList: Object, toList: Object }>} - The moved card and both lists
+   */
+  async function moveCardToNextList(cardId) {
+    const { item: card } = await request('GET', `/cards/${cardId}`);
+    const { included } = await request('GET', `/boards/${card.boardId}`);
+    const lists = (included?.lists || [])
+      .filter((list) => !list.type || WORKFLOW_LIST_TYPES.includes(list.type))
+      .sort((a, b) => a.position - b.position);
+
+    const index = lists.findIndex((list) => list.id === card.listId);
+    const fromList = lists[index];
+    const toList = lists[index + 1];
+
+    if (!fromList || !toList) {
+      throw new Error('the card is already in the last list');
+    }
+
+    const { item: movedCard } = await request('PATCH', `/cards/${cardId}`, {
+      listId: toList.id,
+      position: MOVED_CARD_POSITION,
+    });
+    return { card: movedCard, fromList, toList };
+  }
+
+  /**
+   * Adds a comment to a card.
+   *
+   * @param {string} cardId - The Planka card ID
+   * @param {string} text - Comment text (Markdown)
+   * @returns {Promise<Object>} - The created comment
+   */
+  async function createComment(cardId, text) {
+    const { item } = await request('POST', `/cards/${cardId}/comments`, { text });
+    return item;
+  }
+
+  return { request, completeTask, moveCardToNextList, createComment };
+}
+
+module.exports = { createPlankaClient };
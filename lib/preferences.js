@@ -0,0 +1,251 @@
+const { createJsonStore } = require('./jsonStore');
+const { getDefaultTimeZone, getLocalTime } = require('./localTime');
+const { logger } = require('./logger');
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Helper function to turn 'HH:MM' into minutes after midnight
+function toMinutes(time) {
+  const [, hour, minute] = time.match(TIME_PATTERN);
+  return Number(hour) * 60 + Number(minute);
+}
+
+// Helper function to check that a value is a list of strings
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string');
+}
+
+/**
+ * Validates notification preferences as sent to the API.
+ *
+ * @param {Object} input - Preferences, e.g. { events: ['commentCreate'], quietHours: { start: '22:00', end: '07:00' } }
+ * @returns {{ preferences: Object, errors: string[] }} - Cleaned up preferences, and what is wrong with them
+ */
+function validatePreferences(input) {
+  const errors = [];
+  const preferences = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { preferences, errors: ['preferences must be a JSON object'] };
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    switch (key) {
+      case 'events':
+      case 'mutedCards':
+      case 'mutedBoards':
+        if (value !== null && !isStringList(value)) {
+          errors.push(`${key} must be a list of strings or null`);
+        } else if (value !== null) {
+          preferences[key] = value;
+        }
+        break;
+
+      case 'quietHours':
+        if (value === null) {
+          break;
+        }
+        if (!value || !TIME_PATTERN.test(value.start) || !TIME_PATTERN.test(value.end)) {
+          errors.push('quietHours needs start and end times like "22:00"');
+          break;
+        }
+        try {
+          getLocalTime(new Date(), value.timezone || getDefaultTimeZone());
+          preferences.quietHours = { start: value.start, end: value.end, timezone: value.timezone || null };
+        } catch (error) {
+          errors.push(`quietHours has an unknown timezone "${value.timezone}"`);
+        }
+        break;
+
+      case 'ignoreOwnActions':
+        if (typeof value !== 'boolean') {
+          errors.push('ignoreOwnActions must be true or false');
+        } else {
+          preferences.ignoreOwnActions = value;
+        }
+        break;
+
+      default:
+        errors.push(`unknown preference "${key}"`);
+    }
+  }
+
+  return { preferences, errors };
+}
+
+// Helper function to check whether the current time falls within quiet hours, which may span midnight
+function isQuietTime(quietHours, timeZone, now) {
+  const local = getLocalTime(now, timeZone);
+  const minutes = local.hour * 60 + local.minute;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Decides whether a user's preferences rule out a notification.
+ *
+ * @param {Object} preferences - The user's preferences
+ * @param {string} event - The Planka event type
+ * @param {Object} details - The card/comment details
+ * @param {Object} context
+ * @param {boolean} context.isActor - Whether the user caused the event
+ * @param {string} context.timeZone - Timezone for quiet hours without one of their own
+ * @param {Date} [context.now] - Current time
+ * @returns {string|null} - Why the user isn't notified, or null if they are
+ */
+function getSuppressReason(preferences, event, details, { isActor, timeZone, now = new Date() }) {
+  const boardKeys = [details.boardId, String(details.boardName).toLowerCase()];
+
+  if (preferences.mutedCards && preferences.mutedCards.includes(details.cardId)) {
+    return 'card muted';
+  }
+  if (preferences.mutedBoards && preferences.mutedBoards.some((board) => boardKeys.includes(board.toLowerCase()))) {
+    return 'board muted';
+  }
+  if (preferences.events) {
+    // Planka reports moves as a cardUpdate with a new list, like routing rules
+    const events = details.fromListName ? [event, 'cardMove'] : [event];
+    if (!events.some((candidate) => preferences.events.includes(candidate))) {
+      return `${event} not wanted`;
+    }
+  }
+  if (preferences.ignoreOwnActions && isActor) {
+    return 'own action';
+  }
+  if (preferences.quietHours && isQuietTime(preferences.quietHours, preferences.quietHours.timezone || timeZone, now)) {
+    return 'quiet hours';
+  }
+
+  return null;
+}
+
+/**
+ * Creates the store of per-user notification preferences, keyed by Slack user ID.
+ *
+ * Users can choose the events they want, mute cards (by ID) and boards (by name or ID), set
+ * quiet hours (in their Slack timezone unless they give one) and ignore their own actions.
+ * Preferences only affect @user targets and mentions of card members: the user isn't mentioned
+ * or sent a direct message, while channel messages go out as usual.
+ *
+ * @param {Object} options
+ * @param {string} options.file - Path of the JSON file holding the preferences
+ * @param {Function} options.resolveUser - async (target) => { id, tz } or null, e.g. the Slack notifier's resolveUser
+ * @returns {Object} - Store with get(), set(), remove(), list(), filterTargets() and filterUserIds()
+ */
+function createPreferenceStore({ file, resolveUser }) {
+  const store = createJsonStore(file, { users: {} });
+  const { users } = store.data;
+
+  function get(userId) {
+    return users[userId] || null;
+  }
+
+  function set(userId, preferences) {
+    users[userId] = { ...preferences, updatedAt: new Date().toISOString() };
+    store.save();
+    return users[userId];
+  }
+
+  function remove(userId) {
+    const existed = !!users[userId];
+    delete users[userId];
+    store.save();
+    return existed;
+  }
+
+  function list() {
+    return users;
+  }
+
+  // Helper function to create the check of whether a user, given as an @target or Slack user ID, wants a
+  // notification. Users that can't be resolved, or have no preferences, do. The actor is looked up once
+  function createWantedCheck(event, details) {
+    let actor;
+
+    return async (target) => {
+      try {
+        const user = await resolveUser(target);
+        const preferences = user && users[user.id];
+
+        if (!preferences) {
+          return true;
+        }
+
+        if (preferences.ignoreOwnActions && actor === undefined) {
+          if (details.actorSlackId) {
+            actor = { id: details.actorSlackId };
+          } else {
+            actor = details.username && details.username !== 'N/A' ? await resolveUser(`@${details.username}`) : null;
+          }
+        }
+
+        const reason = getSuppressReason(preferences, event, details, {
+          isActor: !!actor && actor.id === user.id,
+          timeZone: user.tz || getDefaultTimeZone(),
+        });
+
+        if (reason) {
+          logger.info(`  🔕 Not notifying ${target} about ${event}: ${reason}`);
+          return false;
+        }
+        return true;
+      } catch (error) {
+        logger.error(`❌ Error checking preferences of ${target}: ${error.message}`);
+        return true;
+      }
+    };
+  }
+
+  /**
+   * Leaves out the @user targets whose preferences rule out a notification.
+   * Users that can't be resolved, or have no preferences, are kept.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   * @returns {Promise<string[]>} - The notification targets to use
+   */
+  async function filterTargets(event, details) {
+    if (Object.keys(users).length === 0) {
+      return details.notifyTargets;
+    }
+
+    const isWanted = createWantedCheck(event, details);
+    const kept = [];
+
+    for (const target of details.notifyTargets) {
+      if (!target.startsWith('@') || (await isWanted(target))) {
+        kept.push(target);
+      }
+    }
+
+    return kept;
+  }
+
+  /**
+   * Leaves out the Slack users whose preferences rule out being mentioned, e.g. the card's
+   * members mentioned with `slack.mentionMembers`.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   * @param {string[]} userIds - Slack user IDs
+   * @returns {Promise<string[]>} - The user IDs to mention
+   */
+  async function filterUserIds(event, details, userIds) {
+    const isWanted = createWantedCheck(event, details);
+    const kept = [];
+
+    for (const userId of userIds) {
+      if (!users[userId] || (await isWanted(userId))) {
+        kept.push(userId);
+      }
+    }
+
+    return kept;
+  }
+
+  return { get, set, remove, list, filterTargets, filterUserIds };
+}
+
+module.exports = { createPreferenceStore, getSuppressReason, validatePreferences };
@@ -0,0 +1,238 @@
+const { retargetDirectives } = require('./directives');
+const { getEventSubject } = require('./events');
+const { createJsonStore } = require('./jsonStore');
+const { getDefaultTimeZone, getLocalTime } = require('./localTime');
+const { logger } = require('./logger');
+
+// How often to check for reminders that are due
+const CHECK_INTERVAL = 60 * 1000;
+
+const HOUR = 60 * 60 * 1000;
+
+// Planka list types whose cards are done with, and so don't get reminders
+const CLOSED_LIST_TYPES = ['closed', 'archive', 'trash'];
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  leadTimes: [24], // hours before the due date
+  dueToday: '09:00', // time of day to remind about cards due that day, or false
+  overdue: true,
+  completedLists: [], // list names whose cards count as done, e.g. ['Done']
+};
+
+// Helper function to describe a lead time, e.g. 24 → '24h' and 72 → '3 days'
+function formatLeadTime(hours) {
+  return hours >= 48 && hours % 24 === 0 ? `${hours / 24} days` : `${hours}h`;
+}
+
+/**
+ * Creates the scheduler for due date reminders.
+ *
+ * Cards are tracked from the card events the server sees: their due date, notification targets
+ * and latest details are kept on disk, so reminders survive restarts. Each card gets:
+ * - cardDueSoon - once per lead time before the due date (only the closest one if several are due)
+ * - cardDueToday - at `dueToday` in `timezone` on the day it is due
+ * - cardOverdue - once the due date has passed, after which the card is no longer tracked
+ *
+ * Changing the due date starts the reminders over. Cards that are completed, archived, deleted,
+ * in a closed list (or one of `completedLists`), or lose their due date or targets are dropped.
+ *
+ * @param {Object} options
+ * @param {Object} [options.reminders] - The `reminders` section of config.js
+ * @param {string} options.file - Path of the JSON file holding the tracked cards
+ * @param {Function} options.send - async (event, details) => void, called for every reminder
+ * @returns {Object} - Scheduler with track(), start() and stop()
+ */
+function createReminderScheduler({ reminders = {}, file, send }) {
+  const settings = { ...DEFAULT_SETTINGS, timezone: getDefaultTimeZone(), ...reminders };
+  // Shortest first: when several lead times are reached at once, only the closest one is sent
+  const leadTimes = settings.leadTimes
+    .map(Number)
+    .filter((hours) => hours > 0)
+    .sort((a, b) => a - b);
+  const completedLists = settings.completedLists.map((name) => String(name).toLowerCase());
+  const store = createJsonStore(file, { cards: {} });
+  const { cards } = store.data;
+  let dueTodayAt = null;
+  let timer = null;
+  let running = false;
+
+  if (settings.dueToday) {
+    const [hour, minute] = String(settings.dueToday).split(':').map(Number);
+    if (hour >= 0 && hour < 24 && minute >= 0 && minute < 60) {
+      dueTodayAt = hour * 60 + minute;
+    } else {
+      logger.warn(`⚠️  Reminders have an invalid dueToday time "${settings.dueToday}". No "due today" reminders.`);
+    }
+  }
+
+  try {
+    getLocalTime(new Date(), settings.timezone);
+  } catch (error) {
+    logger.warn(`⚠️  Reminders have an invalid timezone "${settings.timezone}". Using the server's timezone.`);
+    settings.timezone = getDefaultTimeZone();
+  }
+
+  // Helper function to check whether a card notifies anyone, now or through a directive like `notify @anna when due`
+  function hasTargets(details) {
+    return (
+      details.notifyTargets.length > 0 || (details.directives || []).some((directive) => directive.targets.length > 0)
+    );
+  }
+
+  // Helper function to decide whether a card should stop getting reminders
+  function isFinished(event, details) {
+    return (
+      event === 'cardDelete' ||
+      event === 'cardArchive' ||
+      !details.dueDate ||
+      details.isCompleted ||
+      CLOSED_LIST_TYPES.includes(details.listType) ||
+      completedLists.includes(String(details.listName).toLowerCase()) ||
+      !hasTargets(details)
+    );
+  }
+
+  /**
+   * Starts, updates or stops tracking a card's due date from an event.
+   * Only card events are used, since only they carry the complete card.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card details, with the notification targets after routing
+   */
+  function track(event, details) {
+    if (!settings.enabled || !details.cardId || getEventSubject(event) !== 'card') {
+      return;
+    }
+
+    const existing = cards[details.cardId];
+
+    if (isFinished(event, details)) {
+      if (existing) {
+        delete cards[details.cardId];
+        store.save();
+        logger.info(`⏰ Stopped due date reminders for "${details.cardTitle}"`);
+      }
+      return;
+    }
+
+    // A new due date starts the reminders over
+    const sent = existing && existing.dueDate === details.dueDate ? existing.sent : [];
+    if (!existing || sent.length === 0) {
+      logger.info(`⏰ Tracking due date of "${details.cardTitle}": ${details.dueDate}`);
+    }
+
+    cards[details.cardId] = { dueDate: details.dueDate, sent, details: { ...details, changes: [], changeRecords: [] } };
+    store.save();
+  }
+
+  // Helper function to list the reminders a card has reached, most urgent first
+  function getReachedReminders(card, now) {
+    const due = new Date(card.dueDate).getTime();
+    if (Number.isNaN(due)) {
+      return [];
+    }
+
+    const reached = [];
+
+    if (now >= due) {
+      if (settings.overdue) {
+        reached.push({ key: 'overdue', event: 'cardOverdue' });
+      }
+      return reached;
+    }
+
+    for (const hours of leadTimes) {
+      if (now >= due - hours * HOUR) {
+        reached.push({ key: `lead:${hours}`, event: 'cardDueSoon', details: { dueIn: formatLeadTime(hours) } });
+      }
+    }
+
+    if (dueTodayAt !== null) {
+      const today = getLocalTime(new Date(now), settings.timezone);
+      if (
+        today.date === getLocalTime(new Date(due), settings.timezone).date &&
+        today.hour * 60 + today.minute >= dueTodayAt
+      ) {
+        reached.push({ key: 'today', event: 'cardDueToday' });
+      }
+    }
+
+    return reached;
+  }
+
+  // Helper function to send every reminder that is due. A reminder that fails to send is tried again on the next check
+  async function runDueReminders() {
+    const now = Date.now();
+    let changed = false;
+
+    for (const [cardId, card] of Object.entries(cards)) {
+      const reached = getReachedReminders(card, now);
+      const [reminder] = reached.filter((candidate) => !card.sent.includes(candidate.key));
+      if (!reminder) {
+        continue;
+      }
+
+      logger.info(`⏰ Sending ${reminder.event} reminder for "${card.details.cardTitle}"`);
+      try {
+        // Directives like `notify @anna when due` only add their targets to reminders
+        await send(reminder.event, retargetDirectives({ ...card.details, ...reminder.details }, reminder.event));
+      } catch (error) {
+        logger.error(`❌ Error sending ${reminder.event} reminder, trying again later: ${error.message}`);
+        continue;
+      }
+
+      // The card may have changed while the reminder was sent; a new due date starts over
+      const current = cards[cardId];
+      if (!current || current.dueDate !== card.dueDate) {
+        continue;
+      }
+
+      // One reminder per check: the less urgent ones reached at the same time are skipped
+      current.sent = [...new Set([...current.sent, ...reached.map((candidate) => candidate.key)])];
+      if (reminder.key === 'overdue') {
+        delete cards[cardId];
+      }
+      changed = true;
+    }
+
+    if (changed) {
+      store.save();
+    }
+  }
+
+  // Helper function to send the reminders that are due, unless a check is still sending
+  async function checkReminders() {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await runDueReminders();
+    } catch (error) {
+      logger.error(`❌ Error sending reminders: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (!settings.enabled) {
+      return;
+    }
+    clearInterval(timer);
+    timer = setInterval(checkReminders, CHECK_INTERVAL);
+    timer.unref();
+    checkReminders();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { track, start, stop };
+}
+
+module.exports = { createReminderScheduler };
@@ -0,0 +1,291 @@
+const { logger } = require('./logger');
+
+// Conditions a rule can match on, and the details field each one is checked against
+const RULE_FIELDS = {
+  board: (details) => details.boardName,
+  list: (details) => details.listName,
+  user: (details) => details.username,
+  label: (details) => details.labels || [],
+  title: (details) => details.cardTitle,
+};
+
+// Helper function to turn a rule condition into a list of patterns
+function toPatterns(condition) {
+  return (Array.isArray(condition) ? condition : [condition]).map((pattern) =>
+    pattern instanceof RegExp ? pattern : String(pattern).toLowerCase()
+  );
+}
+
+// Helper function to check a value (or any value of a list) against a set of patterns
+function matchesPatterns(patterns, value) {
+  const values = Array.isArray(value) ? value : [value];
+
+  return values.some((item) =>
+    patterns.some((pattern) =>
+      pattern instanceof RegExp ? pattern.test(item || '') : pattern === String(item || '').toLowerCase()
+    )
+  );
+}
+
+/**
+ * Compiles the conditions of a `match` object, or returns null (and logs why) if they are invalid.
+ *
+ * @param {Object} match - Conditions as written in config.js, e.g. { event: 'cardMove', list: 'Done' }
+ * @param {string} label - Describes where the conditions come from, used in log messages
+ * @returns {Object|null} - Compiled conditions
+ */
+function compileConditions(match, label) {
+  const conditions = {};
+
+  for (const [field, condition] of Object.entries(match || {})) {
+    if (field !== 'event' && !RULE_FIELDS[field]) {
+      logger.warn(`⚠️  ${label} matches on unknown field "${field}". Ignoring it.`);
+      return null;
+    }
+
+    try {
+      // Card titles are matched with a regular expression, everything else by name (case insensitive)
+      conditions[field] =
+        field === 'title' && !(condition instanceof RegExp) ? [new RegExp(condition, 'i')] : toPatterns(condition);
+    } catch (error) {
+      logger.warn(`⚠️  ${label} has an invalid title pattern: ${error.message}. Ignoring it.`);
+      return null;
+    }
+  }
+
+  return conditions;
+}
+
+// Helper function to check compiled conditions against an event
+function matchesConditions(conditions, event, details) {
+  return Object.entries(conditions).every(([field, patterns]) => {
+    if (field === 'event') {
+      // Planka reports moves as a cardUpdate with a new list
+      const events = details.fromListName ? [event, 'cardMove'] : [event];
+      return matchesPatterns(patterns, events);
+    }
+    return matchesPatterns(patterns, RULE_FIELDS[field](details));
+  });
+}
+
+/**
+ * Creates a predicate from a `match` object, using the same conditions as routing rules.
+ * Invalid conditions are logged and never match.
+ *
+ * @param {Object} match - Conditions as written in config.js, e.g. { event: 'cardMove', list: 'Done' }
+ * @param {string} label - Describes where the conditions come from, used in log messages
+ * @returns {Function} - (event, details) => boolean
+ */
+function createEventMatcher(match, label) {
+  const conditions = compileConditions(match, label);
+  return (event, details) => !!conditions && matchesConditions(conditions, event, details);
+}
+
+/**
+ * Compiles a routing rule from config.js, or returns null (and logs why) if it is invalid.
+ *
+ * @param {Object} rule - The rule as written in config.js
+ * @param {number} index - Position of the rule, used to name unnamed rules in log messages
+ * @returns {Object|null} - Compiled rule
+ */
+function compileRule(rule, index) {
+  const name = rule.name || `rule #${index + 1}`;
+
+  if (!rule.exclude && (!Array.isArray(rule.targets) || rule.targets.length === 0)) {
+    logger.warn(`⚠️  Routing ${name} has no targets and is not an exclude rule. Ignoring it.`);
+    return null;
+  }
+
+  const conditions = compileConditions(rule.match, `Routing ${name}`);
+  if (!conditions) {
+    return null;
+  }
+
+  return { name, conditions, targets: rule.targets || [], exclude: !!rule.exclude };
+}
+
+// Helper function to check that a value is a string or a non-empty list of strings
+function isConditionValue(value) {
+  return (
+    typeof value === 'string' ||
+    (Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === 'string'))
+  );
+}
+
+/**
+ * Validates a routing rule as sent to the admin API, where patterns are strings rather than RegExps.
+ *
+ * @param {Object} input - Rule, e.g. { name: 'Releases', match: { list: 'Done' }, targets: ['#releases'] }
+ * @returns {{ rule: Object, errors: string[] }} - Cleaned up rule, and what is wrong with it
+ */
+function validateRule(input) {
+  const errors = [];
+  const rule = { match: {}, targets: [], exclude: false };
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { rule, errors: ['rule must be a JSON object'] };
+  }
+
+  if (input.name !== undefined && input.name !== null) {
+    if (typeof input.name !== 'string') {
+      errors.push('name must be a string');
+    } else if (input.name.trim()) {
+      rule.name = input.name.trim();
+    }
+  }
+
+  if (!input.match || typeof input.match !== 'object' || Array.isArray(input.match)) {
+    errors.push('match must be an object, e.g. { "board": "Platform" }');
+  } else {
+    for (const [field, value] of Object.entries(input.match)) {
+      if (field !== 'event' && !RULE_FIELDS[field]) {
+        errors.push(`unknown match field "${field}"`);
+      } else if (!isConditionValue(value)) {
+        errors.push(`match.${field} must be a string or a list of strings`);
+      } else if (field === 'title') {
+        if (typeof value !== 'string') {
+          errors.push('match.title must be a single regular expression');
+          continue;
+        }
+        try {
+          new RegExp(value, 'i');
+          rule.match.title = value;
+        } catch (error) {
+          errors.push(`match.title is not a valid regular expression: ${error.message}`);
+        }
+      } else {
+        rule.match[field] = value;
+      }
+    }
+
+    // A rule without conditions would apply to every event
+    if (Object.keys(input.match).length === 0) {
+      errors.push('match needs at least one condition');
+    }
+  }
+
+  if (input.exclude !== undefined && typeof input.exclude !== 'boolean') {
+    errors.push('exclude must be true or false');
+  } else {
+    rule.exclude = !!input.exclude;
+  }
+
+  if (
+    input.targets !== undefined &&
+    (!Array.isArray(input.targets) ||
+      !input.targets.every((target) => typeof target === 'string' && /^\S+$/.test(target)))
+  ) {
+    errors.push('targets must be a list of targets, e.g. ["#releases", "@anna", "teams:ops"]');
+  } else {
+    rule.targets = [...new Set(input.targets || [])];
+  }
+
+  if (!rule.exclude && rule.targets.length === 0 && errors.length === 0) {
+    errors.push('a rule needs targets, or exclude: true');
+  }
+
+  return { rule, errors };
+}
+
+/**
+ * Creates a router from the declarative routing rules in config.js.
+ *
+ * Each rule has a `match` object and either `targets` or `exclude: true`. All conditions in
+ * `match` must hold for the rule to apply; a condition may be a single value or a list of
+ * alternatives, and strings are compared case-insensitively:
+ * - event - Planka event type. 'cardMove' also matches a cardUpdate that changed the list
+ * - board, list, user, label - board name, (destination) list name, acting user, card label
+ * - title - regular expression tested against the card title
+ *
+ * Exclude rules win over everything else, including targets from the card description.
+ *
+ * @param {Object[]} [rules] - The `routing.rules` section of config.js
+ * @returns {{ route: Function }} - Router
+ *
+ * @example
+ * const router = createRouter([
+ *   { match: { event: 'cardMove', board: 'Platform', list: 'Done' }, targets: ['#releases'] },
+ *   { match: { event: 'commentCreate', board: 'Support' }, targets: ['#support-triage'] },
+ *   { match: { board: 'Secret' }, exclude: true },
+ * ]);
+ * router.route('commentCreate', details);
+ * // Returns: { targets: ['#support-triage'], excluded: false, matchedRules: ['rule #2'] }
+ */
+function createRouter(rules = []) {
+  const compiledRules = rules.map(compileRule).filter(Boolean);
+
+  /**
+   * Finds the targets the routing rules add for an event.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   * @returns {{ targets: string[], excluded: boolean, matchedRules: string[] }} - Routing decision
+   */
+  function route(event, details) {
+    const matched = compiledRules.filter((rule) => matchesConditions(rule.conditions, event, details));
+    const exclusion = matched.find((rule) => rule.exclude);
+
+    if (exclusion) {
+      return { targets: [], excluded: true, matchedRules: [exclusion.name] };
+    }
+
+    return {
+      targets: [...new Set(matched.flatMap((rule) => rule.targets))],
+      excluded: false,
+      matchedRules: matched.map((rule) => rule.name),
+    };
+  }
+
+  return { route };
+}
+
+/**
+ * Leaves the excluded targets (`notify -@bob`) out of a list of targets.
+ *
+ * @param {string[]} targets - Targets from the card, routing rules and subscriptions
+ * @param {string[]} [excluded] - Targets to leave out
+ * @returns {string[]} - The remaining targets
+ */
+function removeExcludedTargets(targets, excluded = []) {
+  const lowerExcluded = excluded.map((target) => target.toLowerCase());
+  return targets.filter((target) => !lowerExcluded.includes(target.toLowerCase()));
+}
+
+/**
+ * Adds the targets of the routing rules and of the channels subscribed to the board (see
+ * `/planka subscribe`) to an event's notification targets, or clears them if a rule excludes it.
+ * Targets excluded by the card's directives are left out.
+ *
+ * @param {Object} router - Router from createRouter()
+ * @param {Object} subscriptions - Store from createSubscriptionStore()
+ * @param {string} event - The Planka event type
+ * @param {Object} details - The card/comment details, whose notifyTargets are updated
+ * @returns {{ targets: string[], excluded: boolean, matchedRules: string[], subscribedChannels: string[] }} - Routing decision
+ */
+function applyRouting(router, subscriptions, event, details) {
+  const routing = router.route(event, details);
+
+  if (routing.excluded) {
+    logger.info(`  🚫 ${event} excluded by routing ${routing.matchedRules[0]}`);
+    details.notifyTargets = [];
+    return { ...routing, subscribedChannels: [] };
+  }
+
+  if (routing.targets.length > 0) {
+    logger.info(`  🧭 Routing ${routing.matchedRules.join(', ')} → ${routing.targets.join(', ')}`);
+  }
+
+  const subscribedChannels = subscriptions.getTargets(details);
+  if (subscribedChannels.length > 0) {
+    logger.info(`  🔔 Subscribed channels → ${subscribedChannels.join(', ')}`);
+  }
+
+  // Targets a directive leaves out (`notify -@bob`) are dropped whichever source added them
+  details.notifyTargets = removeExcludedTargets(
+    [...new Set([...details.notifyTargets, ...routing.targets, ...subscribedChannels])],
+    details.excludedTargets
+  );
+  return { ...routing, subscribedChannels };
+}
+
+module.exports = { applyRouting, createRouter, createEventMatcher, removeExcludedTargets, validateRule };
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+/**
+ * Creates the store of routing rules made on the admin page. They are applied after the
+ * `routing.rules` of config.js, in the order they were created.
+ *
+ * @param {string} file - Path of the JSON file holding the rules
+ * @returns {Object} - Store with add(), remove() and list()
+ */
+function createRuleStore(file) {
+  const store = createJsonStore(file, { rules: [] });
+
+  /**
+   * Adds a rule.
+   *
+   * @param {Object} rule - Rule from validateRule()
+   * @returns {Object} - The stored rule, with its id and createdAt
+   */
+  function add(rule) {
+    const stored = { id: crypto.randomUUID(), ...rule, createdAt: new Date().toISOString() };
+    store.data.rules.push(stored);
+    store.save();
+    return stored;
+  }
+
+  /**
+   * Removes a rule.
+   *
+   * @param {string} id - ID of the rule
+   * @returns {boolean} - False if there was no such rule
+   */
+  function remove(id) {
+    const remaining = store.data.rules.filter((rule) => rule.id !== id);
+    if (remaining.length === store.data.rules.length) {
+      return false;
+    }
+
+    store.data.rules = remaining;
+    store.save();
+    return true;
+  }
+
+  function list() {
+    return store.data.rules;
+  }
+
+  return { add, remove, list };
+}
+
+module.exports = { createRuleStore };
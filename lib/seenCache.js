@@ -0,0 +1,52 @@
+// Upper bound for remembered keys, so a flood of distinct requests can't exhaust memory
+const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * Creates a bounded set of recently seen keys, e.g. the IDs of webhook deliveries already handled.
+ *
+ * A key is forgotten once it is older than `ttl` seconds, or earlier when the set holds more than
+ * `maxEntries` keys and it is the oldest one.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Seconds a key is remembered (0 remembers nothing)
+ * @param {number} [options.maxEntries] - Most keys remembered at once
+ * @returns {{ has: Function, add: Function, delete: Function }} - has(key), add(key) and delete(key)
+ *
+ * @example
+ * const seen = createSeenCache({ ttl: 600 });
+ * seen.add('delivery-1');
+ * seen.has('delivery-1'); // true, for the next 10 minutes
+ */
+function createSeenCache({ ttl = 600, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  // Key → when it was added, oldest first
+  const seen = new Map();
+
+  // Helper function to forget the keys that expired, and the oldest ones while there are too many
+  function prune(now) {
+    for (const [key, addedAt] of seen) {
+      if (now - addedAt < ttl * 1000 && seen.size <= maxEntries) {
+        break;
+      }
+      seen.delete(key);
+    }
+  }
+
+  function has(key) {
+    prune(Date.now());
+    return seen.has(key);
+  }
+
+  function add(key) {
+    seen.delete(key);
+    seen.set(key, Date.now());
+    prune(Date.now());
+  }
+
+  function remove(key) {
+    seen.delete(key);
+  }
+
+  return { has, add, delete: remove };
+}
+
+module.exports = { createSeenCache };
@@ -0,0 +1,153 @@
+const { logger } = require('./logger');
+
+// How long a comment posted from Slack waits for its commentCreate webhook before it is forgotten
+const ECHO_TTL = 5 * 60 * 1000;
+
+// Message subtypes that are still a person replying; edits, joins and bot posts are ignored
+const REPLY_SUBTYPES = [undefined, 'thread_broadcast'];
+
+/**
+ * Formats a comment written in Slack for Planka, saying who wrote it since the service user posts it.
+ *
+ * @param {string} text - The comment text (Markdown)
+ * @param {string} author - Who wrote it, e.g. the mapped Planka username or the Slack name
+ * @returns {string} - Comment text for Planka
+ */
+function formatSlackComment(text, author) {
+  return `${text}\n\n— ${author} (via Slack)`;
+}
+
+/**
+ * Creates the handler for the Slack Events API, which turns replies in a card's notification
+ * thread into comments on the card.
+ *
+ * Comments are added by the Planka service user, attributed to the Planka user mapped to the
+ * Slack user in the `users` section of config.js (or to their Slack name). The commentCreate
+ * webhook Planka sends back for such a comment is recognised by isEcho(), so the reply isn't
+ * posted to Slack a second time.
+ *
+ * @param {Object} options
+ * @param {Object} options.slack - The Slack notifier
+ * @param {Object|null} options.planka - Planka API client from createPlankaClient(), if configured
+ * @param {Object} options.userMapping - Mapping from createUserMapping()
+ * @returns {Object} - Handler with handleEvent() and isEcho()
+ */
+function createSlackEvents({ slack, planka, userMapping }) {
+  // Comments posted from Slack, by card and text, until their webhook comes back
+  const pendingEchoes = new Map();
+
+  // Helper function to build the key of a comment, as both Slack and the webhook see it
+  function getEchoKey(cardId, text) {
+    return `${cardId}|${text.trim()}`;
+  }
+
+  // Helper function to forget comments whose webhook never came
+  function pruneEchoes() {
+    const now = Date.now();
+    for (const [key, expiresAt] of pendingEchoes) {
+      if (expiresAt < now) {
+        pendingEchoes.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Checks whether an event is the webhook of a comment this server posted from Slack.
+   * Each comment is only recognised once.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   * @returns {boolean} - True if the event shouldn't be posted to Slack
+   */
+  function isEcho(event, details) {
+    if (event !== 'commentCreate' || !details.cardId || !details.commentText) {
+      return false;
+    }
+
+    pruneEchoes();
+    return pendingEchoes.delete(getEchoKey(details.cardId, details.commentText));
+  }
+
+  // Helper function to turn Slack mrkdwn into Planka Markdown: mentions, channels and links
+  async function toPlankaText(text) {
+    let converted = text;
+
+    for (const [mention, userId] of text.matchAll(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g)) {
+      const user = await slack.resolveUser(userId).catch(() => null);
+      converted = converted.replace(mention, `@${user?.name || userId}`);
+    }
+
+    return converted
+      .replace(/<#[A-Z0-9]+\|([^>]*)>/g, '#$1')
+      .replace(/<(https?:[^|>]+)\|([^>]+)>/g, '[$2]($1)')
+      .replace(/<(https?:[^>]+)>/g, '$1')
+      .replace(/<mailto:[^|>]+\|([^>]+)>/g, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  // Helper function to add a thread reply to its card as a comment
+  async function addReplyAsComment(message, cardId) {
+    const plankaUser = await userMapping.findPlankaUser(message.user);
+    const slackUser = plankaUser ? null : await slack.resolveUser(message.user).catch(() => null);
+    const author = plankaUser ? `@${plankaUser}` : slackUser?.name || message.user;
+    const text = formatSlackComment(await toPlankaText(message.text || ''), author);
+
+    // Recorded first: the webhook can arrive before Planka answers the request
+    pendingEchoes.set(getEchoKey(cardId, text), Date.now() + ECHO_TTL);
+
+    try {
+      await planka.createComment(cardId, text);
+      logger.info(`💬 Slack reply from ${author} added to card ${cardId}`);
+    } catch (error) {
+      pendingEchoes.delete(getEchoKey(cardId, text));
+      logger.error(`❌ Failed to add Slack reply to card ${cardId}: ${error.message}`);
+      await slack.makeSlackApiRequest('chat.postEphemeral', {
+        channel: message.channel,
+        thread_ts: message.thread_ts,
+        user: message.user,
+        text: `⚠️ Your reply couldn't be added to the Planka card: ${error.message}`,
+      });
+    }
+  }
+
+  /**
+   * Handles an event_callback from the Events API. Only replies by people in a thread the bot
+   * started for a card are used; everything else is ignored.
+   *
+   * @param {Object} envelope - The parsed request body Slack sends
+   * @returns {Promise<void>}
+   */
+  async function handleEvent(envelope) {
+    const message = envelope.event;
+
+    if (
+      envelope.type !== 'event_callback' ||
+      message?.type !== 'message' ||
+      !REPLY_SUBTYPES.includes(message.subtype) ||
+      message.bot_id ||
+      !message.user ||
+      !message.thread_ts ||
+      message.thread_ts === message.ts
+    ) {
+      return;
+    }
+
+    const cardId = slack.findThreadCard(message.channel, message.thread_ts);
+    if (!cardId) {
+      return;
+    }
+
+    if (!planka) {
+      logger.warn(`⚠️  Slack reply on card ${cardId} not synced: no Planka service user in config.js`);
+      return;
+    }
+
+    await addReplyAsComment(message, cardId);
+  }
+
+  return { handleEvent, isEcho };
+}
+
+module.exports = { createSlackEvents, formatSlackComment };
@@ -0,0 +1,334 @@
+const { postJson } = require('./httpClient');
+const { logger } = require('./logger');
+const { formatSlackComment } = require('./slackEvents');
+
+// action_id of each notification button, and callback_id of the comment dialog
+const SLACK_ACTIONS = {
+  completeTask: 'planka_complete_task',
+  moveToNextList: 'planka_move_next',
+  comment: 'planka_comment',
+};
+const COMMENT_VIEW = 'planka_comment';
+
+// Cards can be given by ID or by their Planka URL, e.g. https://planka.example.com/cards/123
+const CARD_URL_PATTERN = /\/cards\/([^/?#\s>|]+)/;
+
+const HELP_TEXT = [
+  '*Planka commands*',
+  '`/planka subscribe <board>` - post every event on a board to this channel (admins only)',
+  '`/planka unsubscribe <board>` - stop posting a board to this channel (admins only)',
+  '`/planka mute <card>` - stop mentioning or messaging you about a card (ID or link)',
+  '`/planka unmute <card>` - mention and message you about a card again',
+  "`/planka status` - show your preferences and this channel's subscriptions",
+].join('\n');
+
+/**
+ * Builds the buttons shown under a notification, or null if the event has nothing to act on.
+ *
+ * @param {string} event - The Planka event type
+ * @param {Object} details - The card/comment details
+ * @returns {Object|null} - Slack actions block
+ */
+function buildActionsBlock(event, details) {
+  if (!details.cardId || event === 'cardDelete') {
+    return null;
+  }
+
+  const elements = [];
+  if (details.isTask && details.taskId && !details.taskCompleted && event !== 'taskDelete') {
+    elements.push({
+      type: 'button',
+      action_id: SLACK_ACTIONS.completeTask,
+      text: { type: 'plain_text', text: 'Mark task done' },
+      value: details.taskId,
+      style: 'primary',
+    });
+  }
+  elements.push(
+    {
+      type: 'button',
+      action_id: SLACK_ACTIONS.moveToNextList,
+      text: { type: 'plain_text', text: 'Move to next list' },
+      value: details.cardId,
+    },
+    {
+      type: 'button',
+      action_id: SLACK_ACTIONS.comment,
+      text: { type: 'plain_text', text: 'Reply as comment' },
+      value: details.cardId,
+    }
+  );
+
+  return { type: 'actions', block_id: 'planka_actions', elements };
+}
+
+// Helper function to get a card ID from an ID or a Planka card link
+function parseCardId(text) {
+  const match = text.match(CARD_URL_PATTERN);
+  return match ? match[1] : text.replace(/^<|>$/g, '');
+}
+
+/**
+ * Creates the handlers for the `/planka` slash command and the buttons on notifications.
+ *
+ * Both are called after the request's Slack signature has been checked. Button actions are
+ * carried out in Planka as the service user, and their result is shown in the original message.
+ *
+ * @param {Object} options
+ * @param {Object} options.slack - The Slack notifier
+ * @param {Object|null} options.planka - Planka API client from createPlankaClient(), if configured
+ * @param {Object} options.preferences - Store from createPreferenceStore()
+ * @param {Object} options.subscriptions - Store from createSubscriptionStore()
+ * @param {Object} options.userMapping - Mapping from createUserMapping(), to attribute comments
+ * @param {string[]} [options.admins] - Slack user IDs allowed to subscribe channels to boards (`slack.admins`)
+ * @returns {Object} - Handlers handleCommand() and handleInteraction()
+ */
+function createSlackInteractions({ slack, planka, preferences, subscriptions, userMapping, admins = [] }) {
+  // Helper function to edit a user's muted cards, keeping the rest of their preferences
+  function setMutedCard(userId, cardId, muted) {
+    const { updatedAt, ...current } = preferences.get(userId) || {};
+    const mutedCards = (current.mutedCards || []).filter((id) => id !== cardId);
+
+    preferences.set(userId, { ...current, mutedCards: muted ? [...mutedCards, cardId] : mutedCards });
+  }
+
+  // Helper function to describe a user's preferences and a channel's subscriptions
+  function describeStatus(userId, channel) {
+    const userPreferences = preferences.get(userId) || {};
+    const boards = subscriptions.list(channel);
+    const lines = ['*Your notifications*'];
+
+    lines.push(userPreferences.events ? `• Events: ${userPreferences.events.join(', ')}` : '• Events: all');
+    if (userPreferences.mutedCards?.length > 0) {
+      lines.push(`• Muted cards: ${userPreferences.mutedCards.join(', ')}`);
+    }
+    if (userPreferences.mutedBoards?.length > 0) {
+      lines.push(`• Muted boards: ${userPreferences.mutedBoards.join(', ')}`);
+    }
+    if (userPreferences.quietHours) {
+      lines.push(`• Quiet hours: ${userPreferences.quietHours.start}-${userPreferences.quietHours.end}`);
+    }
+    if (userPreferences.ignoreOwnActions) {
+      lines.push('• Your own actions are ignored');
+    }
+
+    lines.push('', '*This channel*');
+    lines.push(boards.length > 0 ? `• Subscribed to: ${boards.join(', ')}` : '• Not subscribed to any board');
+    lines.push(planka ? '• Buttons on notifications act in Planka' : '• Buttons are off (no Planka service user)');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Handles a `/planka` slash command.
+   *
+   * @param {Object} command - The form fields Slack sends, e.g. { text, user_id, channel_id }
+   * @returns {Object} - Response for Slack, shown only to the user who ran the command
+   */
+  function handleCommand(command) {
+    const [action = '', ...rest] = (command.text || '').trim().split(/\s+/);
+    const argument = rest.join(' ');
+    const channel = `#${command.channel_id}`;
+    let text;
+
+    // Subscriptions post a whole board, private or not, to a channel, so only admins may change them
+    if (['subscribe', 'unsubscribe'].includes(action.toLowerCase()) && !admins.includes(command.user_id)) {
+      logger.warn(`⚠️  ${command.user_name || command.user_id} is not allowed to ${action.toLowerCase()} channels`);
+      return {
+        response_type: 'ephemeral',
+        text:
+          `Only admins can ${action.toLowerCase()} channels. ` +
+          `Ask one to add your user ID (${command.user_id}) to \`slack.admins\`.`,
+      };
+    }
+
+    switch (action.toLowerCase()) {
+      case 'subscribe':
+        if (!argument) {
+          text = 'Usage: `/planka subscribe <board>`';
+        } else if (subscriptions.subscribe(channel, argument)) {
+          logger.info(`🔔 #${command.channel_name || command.channel_id} subscribed to board "${argument}"`);
+          text = `✅ This channel now gets every event on *${argument}*.`;
+        } else {
+          text = `This channel is already subscribed to *${argument}*.`;
+        }
+        break;
+
+      case 'unsubscribe':
+        if (!argument) {
+          text = 'Usage: `/planka unsubscribe <board>`';
+        } else if (subscriptions.unsubscribe(channel, argument)) {
+          logger.info(`🔕 #${command.channel_name || command.channel_id} unsubscribed from board "${argument}"`);
+          text = `✅ This channel no longer gets events on *${argument}*.`;
+        } else {
+          text = `This channel isn't subscribed to *${argument}*.`;
+        }
+        break;
+
+      case 'mute':
+      case 'unmute': {
+        if (!argument) {
+          text = `Usage: \`/planka ${action.toLowerCase()} <card>\``;
+          break;
+        }
+        const cardId = parseCardId(argument);
+        const muted = action.toLowerCase() === 'mute';
+        setMutedCard(command.user_id, cardId, muted);
+        logger.info(`⚙️  ${command.user_name || command.user_id} ${muted ? 'muted' : 'unmuted'} card ${cardId}`);
+        // Mutes are personal: channels still get the card's messages
+        text = muted
+          ? `🔕 You won't be mentioned or messaged about card ${cardId}. Channel messages still go out.`
+          : `🔔 You'll be mentioned and messaged about card ${cardId} again.`;
+        break;
+      }
+
+      case 'status':
+        text = describeStatus(command.user_id, channel);
+        break;
+
+      default:
+        text = HELP_TEXT;
+    }
+
+    return { response_type: 'ephemeral', text };
+  }
+
+  // Helper function to post to a message's response_url, e.g. to replace it or answer only the user
+  async function respond(responseUrl, message) {
+    const result = await postJson(responseUrl, message);
+    if (!result.ok) {
+      logger.error(`❌ Failed to respond to Slack: ${result.error}`);
+    }
+  }
+
+  // Helper function to show an action's result in the original message, without the button that was used
+  async function reflectResult(payload, actionId, text) {
+    const blocks = (payload.message.blocks || [])
+      .map((block) =>
+        block.type === 'actions'
+          ? { ...block, elements: block.elements.filter((element) => element.action_id !== actionId) }
+          : block
+      )
+      .filter((block) => block.type !== 'actions' || block.elements.length > 0);
+
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text }] });
+    await respond(payload.response_url, { replace_original: true, text: payload.message.text, blocks });
+  }
+
+  // Helper function to open the dialog for replying to a card with a comment
+  async function openCommentDialog(payload, cardId) {
+    const result = await slack.makeSlackApiRequest('views.open', {
+      trigger_id: payload.trigger_id,
+      view: {
+        type: 'modal',
+        callback_id: COMMENT_VIEW,
+        private_metadata: JSON.stringify({ cardId, channel: payload.channel?.id }),
+        title: { type: 'plain_text', text: 'Reply as comment' },
+        submit: { type: 'plain_text', text: 'Comment' },
+        close: { type: 'plain_text', text: 'Cancel' },
+        blocks: [
+          {
+            type: 'input',
+            block_id: 'comment',
+            label: { type: 'plain_text', text: 'Comment' },
+            element: { type: 'plain_text_input', action_id: 'text', multiline: true },
+          },
+        ],
+      },
+    });
+
+    if (!result.ok) {
+      throw new Error(result.error);
+    }
+  }
+
+  // Helper function to carry out a button press on a notification
+  async function handleBlockAction(payload) {
+    const [action] = payload.actions || [];
+    const user = payload.user || {};
+
+    if (!action || !Object.values(SLACK_ACTIONS).includes(action.action_id)) {
+      return;
+    }
+
+    if (!planka) {
+      await respond(payload.response_url, {
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: '⚠️ Planka actions need a service user in config.js (planka.username and password, or apiToken).',
+      });
+      return;
+    }
+
+    logger.info(`🖱️  ${user.name || user.id} pressed ${action.action_id} on ${action.value}`);
+
+    try {
+      switch (action.action_id) {
+        case SLACK_ACTIONS.completeTask: {
+          const task = await planka.completeTask(action.value);
+          await reflectResult(payload, action.action_id, `✅ <@${user.id}> marked task "${task.name}" done`);
+          break;
+        }
+
+        case SLACK_ACTIONS.moveToNextList: {
+          const { toList } = await planka.moveCardToNextList(action.value);
+          await reflectResult(payload, action.action_id, `➡️ <@${user.id}> moved the card to *${toList.name}*`);
+          break;
+        }
+
+        case SLACK_ACTIONS.comment:
+          await openCommentDialog(payload, action.value);
+          break;
+      }
+    } catch (error) {
+      logger.error(`❌ ${action.action_id} failed: ${error.message}`);
+      await respond(payload.response_url, {
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: `⚠️ That didn't work: ${error.message}`,
+      });
+    }
+  }
+
+  // Helper function to add the comment from a submitted comment dialog
+  async function handleCommentSubmission(payload) {
+    const { cardId, channel } = JSON.parse(payload.view.private_metadata || '{}');
+    const text = payload.view.state?.values?.comment?.text?.value || '';
+    const user = payload.user || {};
+    const plankaUser = await userMapping.findPlankaUser(user.id);
+    const author = plankaUser ? `@${plankaUser}` : user.name || user.id;
+    let reply;
+
+    try {
+      await planka.createComment(cardId, formatSlackComment(text, author));
+      logger.info(`💬 ${author} commented on card ${cardId} from Slack`);
+      reply = '💬 Your comment was added to the card.';
+    } catch (error) {
+      logger.error(`❌ Comment from Slack failed: ${error.message}`);
+      reply = `⚠️ Your comment couldn't be added: ${error.message}`;
+    }
+
+    if (channel) {
+      await slack.makeSlackApiRequest('chat.postEphemeral', { channel, user: user.id, text: reply });
+    }
+  }
+
+  /**
+   * Handles an interaction payload: a button press, or a submitted comment dialog.
+   * Slack must be answered within 3 seconds, so the caller acknowledges first and this does the work.
+   *
+   * @param {Object} payload - The parsed `payload` form field Slack sends
+   * @returns {Promise<void>}
+   */
+  async function handleInteraction(payload) {
+    if (payload.type === 'block_actions') {
+      await handleBlockAction(payload);
+    } else if (payload.type === 'view_submission' && payload.view?.callback_id === COMMENT_VIEW && planka) {
+      await handleCommentSubmission(payload);
+    }
+  }
+
+  return { handleCommand, handleInteraction };
+}
+
+module.exports = { SLACK_ACTIONS, buildActionsBlock, createSlackInteractions };
@@ -0,0 +1,77 @@
+const { createJsonStore } = require('./jsonStore');
+
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+/**
+ * Creates the persistent mapping from a Planka entity (card, comment or task) and Slack channel
+ * to the message posted about it, so later events can edit or remove that message.
+ *
+ * Messages older than `maxAgeDays` are forgotten; events on them are posted as new messages.
+ *
+ * @param {string} file - Path of the JSON file holding the mapping
+ * @param {number} [maxAgeDays] - Days after posting before a message is forgotten
+ * @returns {Object} - Store with get(), set() and remove()
+ */
+function createMessageStore(file, maxAgeDays = DEFAULT_MAX_AGE_DAYS) {
+  const store = createJsonStore(file, { messages: {} });
+  const { messages } = store.data;
+  const maxAge = maxAgeDays * 24 * 60 * 60 * 1000;
+
+  // Helper function to build the key of an entity's message in a channel
+  function getKey(entity, channel) {
+    return `${entity}|${channel}`;
+  }
+
+  // Helper function to drop messages that were posted a while ago
+  function prune() {
+    const cutoff = Date.now() - maxAge;
+    let removed = false;
+
+    for (const [key, message] of Object.entries(messages)) {
+      if (message.postedAt < cutoff) {
+        delete messages[key];
+        removed = true;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Finds the message about an entity in a channel.
+   *
+   * @param {string} entity - The Planka entity, e.g. 'comment:123'
+   * @param {string} channel - The channel as posted to (e.g. 'dev' or a DM channel ID)
+   * @returns {Object|null} - { ts, channelId, summary, postedAt } or null if none was posted
+   */
+  function get(entity, channel) {
+    const message = messages[getKey(entity, channel)];
+    return message && message.postedAt >= Date.now() - maxAge ? message : null;
+  }
+
+  /**
+   * Records the message posted about an entity in a channel.
+   *
+   * @param {string} entity - The Planka entity, e.g. 'comment:123'
+   * @param {string} channel - The channel as posted to
+   * @param {Object} message - { ts, channelId, summary } of the message
+   */
+  function set(entity, channel, message) {
+    messages[getKey(entity, channel)] = { ...message, postedAt: Date.now() };
+    prune();
+    store.save();
+  }
+
+  function remove(entity, channel) {
+    delete messages[getKey(entity, channel)];
+    store.save();
+  }
+
+  if (prune()) {
+    store.save();
+  }
+
+  return { get, set, remove };
+}
+
+module.exports = { createMessageStore };
@@ -0,0 +1,86 @@
+const { createJsonStore } = require('./jsonStore');
+
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+/**
+ * Creates the persistent mapping from a Planka card and Slack channel to the message that
+ * started the card's thread in that channel.
+ *
+ * Threads that haven't been used for `maxAgeDays` are forgotten, so the next event on an
+ * old card starts a fresh thread instead of replying somewhere nobody is looking.
+ *
+ * @param {string} file - Path of the JSON file holding the mapping
+ * @param {number} [maxAgeDays] - Days after the last reply before a thread is forgotten
+ * @returns {Object} - Store with get(), set() and findCard()
+ */
+function createThreadStore(file, maxAgeDays = DEFAULT_MAX_AGE_DAYS) {
+  const store = createJsonStore(file, { threads: {} });
+  const { threads } = store.data;
+  const maxAge = maxAgeDays * 24 * 60 * 60 * 1000;
+
+  // Helper function to build the key of a card's thread in a channel
+  function getKey(cardId, channel) {
+    return `${cardId}|${channel}`;
+  }
+
+  // Helper function to drop threads that haven't been used for a while
+  function prune() {
+    const cutoff = Date.now() - maxAge;
+    let removed = false;
+
+    for (const [key, thread] of Object.entries(threads)) {
+      if (thread.lastUsedAt < cutoff) {
+        delete threads[key];
+        removed = true;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Finds the thread of a card in a channel.
+   *
+   * @param {string} cardId - The Planka card ID
+   * @param {string} channel - The channel as posted to (e.g. '#dev' or a DM channel ID)
+   * @returns {Object|null} - { ts, channelId, cardId, lastUsedAt } or null if there is no thread yet
+   */
+  function get(cardId, channel) {
+    const thread = threads[getKey(cardId, channel)];
+    return thread && thread.lastUsedAt >= Date.now() - maxAge ? thread : null;
+  }
+
+  /**
+   * Records the thread parent of a card in a channel, or marks an existing thread as used.
+   *
+   * @param {string} cardId - The Planka card ID
+   * @param {string} channel - The channel as posted to (e.g. '#dev' or a DM channel ID)
+   * @param {Object} message - { ts, channelId } of the parent message, as returned by chat.postMessage
+   */
+  function set(cardId, channel, message) {
+    const key = getKey(cardId, channel);
+    threads[key] = { ...threads[key], ...message, cardId, lastUsedAt: Date.now() };
+    prune();
+    store.save();
+  }
+
+  /**
+   * Finds the card a Slack thread belongs to.
+   *
+   * @param {string} channelId - The Slack channel ID (e.g. 'C123ABC')
+   * @param {string} ts - The thread parent's timestamp
+   * @returns {string|null} - The Planka card ID
+   */
+  function findCard(channelId, ts) {
+    const thread = Object.values(threads).find((item) => item.channelId === channelId && item.ts === ts);
+    return thread ? thread.cardId : null;
+  }
+
+  if (prune()) {
+    store.save();
+  }
+
+  return { get, set, findCard };
+}
+
+module.exports = { createThreadStore };
@@ -0,0 +1,79 @@
+const { createJsonStore } = require('./jsonStore');
+
+/**
+ * Creates the store of board subscriptions made with `/planka subscribe <board>`.
+ *
+ * A subscribed Slack channel gets every event on the board, as if a routing rule named it.
+ * Boards are matched by name (case-insensitively) or ID.
+ *
+ * @param {string} file - Path of the JSON file holding the subscriptions
+ * @returns {Object} - Store with subscribe(), unsubscribe(), list() and getTargets()
+ */
+function createSubscriptionStore(file) {
+  const store = createJsonStore(file, { channels: {} });
+  const { channels } = store.data;
+
+  /**
+   * Subscribes a channel to a board.
+   *
+   * @param {string} channel - Slack target of the channel, e.g. '#C123ABC'
+   * @param {string} board - Board name or ID
+   * @returns {boolean} - False if the channel was already subscribed
+   */
+  function subscribe(channel, board) {
+    const boards = channels[channel] || [];
+    if (boards.some((existing) => existing.toLowerCase() === board.toLowerCase())) {
+      return false;
+    }
+
+    channels[channel] = [...boards, board];
+    store.save();
+    return true;
+  }
+
+  /**
+   * Unsubscribes a channel from a board.
+   *
+   * @param {string} channel - Slack target of the channel
+   * @param {string} board - Board name or ID, as subscribed
+   * @returns {boolean} - False if the channel wasn't subscribed
+   */
+  function unsubscribe(channel, board) {
+    const boards = channels[channel] || [];
+    const remaining = boards.filter((existing) => existing.toLowerCase() !== board.toLowerCase());
+
+    if (remaining.length === boards.length) {
+      return false;
+    }
+
+    if (remaining.length > 0) {
+      channels[channel] = remaining;
+    } else {
+      delete channels[channel];
+    }
+    store.save();
+    return true;
+  }
+
+  function list(channel) {
+    return channels[channel] || [];
+  }
+
+  /**
+   * Finds the channels subscribed to the board of an event.
+   *
+   * @param {Object} details - The card/comment details
+   * @returns {string[]} - Slack targets of the subscribed channels
+   */
+  function getTargets(details) {
+    const boardKeys = [details.boardId, String(details.boardName).toLowerCase()];
+
+    return Object.keys(channels).filter((channel) =>
+      channels[channel].some((board) => boardKeys.includes(board.toLowerCase()))
+    );
+  }
+
+  return { subscribe, unsubscribe, list, getTargets };
+}
+
+module.exports = { createSubscriptionStore };
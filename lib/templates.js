@@ -0,0 +1,399 @@
+/**
+ * Default message templates, one per event type. `default` is used for events without their own.
+ *
+ * A template has:
+ * - emoji - shown before the title ('' to drop it)
+ * - title - the first line, shown in bold
+ * - text - the lines below the title
+ * - blockText - replaces `text` in Slack Block Kit messages, which show the board, list, labels,
+ *   due date and changes in blocks of their own (defaults to `text`)
+ * - color - hex colour of the attachment/embed bar
+ * - fields - optional [{ title, value }] shown as a table; fields that render empty are left out
+ * - format - Slack only: 'attachments' or 'blocks', overrides `slack.messageFormat`
+ *
+ * Strings may use {{field}} for any field of the notification details (lists are joined with
+ * commas, {{a.b}} reaches into objects), {{#field}}...{{/field}} to show a part only when the field
+ * is set (a non-empty list counts as set) and {{^field}}...{{/field}} for the opposite.
+ * Any property may also be a function (details) => string.
+ */
+const DEFAULT_TEMPLATES = {
+  cardCreate: {
+    emoji: '🆕',
+    title: '{{cardTitle}}',
+    text: 'Created by {{username}} in {{boardName}} › {{listName}}',
+    blockText: 'Created by {{username}}',
+    color: '#36a64f', // Green
+  },
+  cardUpdate: {
+    emoji: '✏️',
+    title: '{{cardTitle}}',
+    text:
+      '{{#changes}}_{{changesSummary}}_\n{{username}} in {{boardName}} › {{listName}}{{/changes}}' +
+      '{{^changes}}_Updated by {{username}}_\n{{boardName}} › {{listName}}{{/changes}}',
+    blockText: '_Updated by {{username}}_',
+    color: '#ff9500', // Orange
+  },
+  cardMove: {
+    emoji: '📤',
+    title: '{{cardTitle}}',
+    text: 'Moved to {{listName}} by {{username}}',
+    blockText: 'Moved by {{username}}',
+    color: '#007cba', // Blue
+  },
+  cardArchive: {
+    emoji: '🗄️',
+    title: '{{cardTitle}}',
+    text: 'Archived by {{username}} in {{boardName}} › {{listName}}',
+    blockText: 'Archived by {{username}}',
+    color: '#795548', // Brown
+  },
+  cardRestore: {
+    emoji: '♻️',
+    title: '{{cardTitle}}',
+    text: 'Restored by {{username}} in {{boardName}} › {{listName}}',
+    blockText: 'Restored by {{username}}',
+    color: '#36a64f', // Green
+  },
+  cardDelete: {
+    emoji: '🗑️',
+    title: '{{cardTitle}}',
+    text: 'Deleted by {{username}} from {{boardName}} › {{listName}}',
+    blockText: 'Deleted by {{username}}',
+    color: '#f44336', // Red
+  },
+  cardLabelCreate: {
+    emoji: '🏷️',
+    title: '{{cardTitle}}',
+    text: 'Label "{{labelName}}" added\n_By {{username}}_',
+    color: '#00bcd4', // Cyan
+  },
+  cardLabelDelete: {
+    emoji: '🏷️',
+    title: '{{cardTitle}}',
+    text: 'Label "{{labelName}}" removed\n_By {{username}}_',
+    color: '#607d8b', // Grey
+  },
+  cardMembershipCreate: {
+    emoji: '👤',
+    title: '{{cardTitle}}',
+    text: '{{memberName}} joined the card\n_Added by {{username}}_',
+    color: '#00bcd4', // Cyan
+  },
+  cardMembershipDelete: {
+    emoji: '👤',
+    title: '{{cardTitle}}',
+    text: '{{memberName}} left the card\n_Removed by {{username}}_',
+    color: '#607d8b', // Grey
+  },
+  commentCreate: {
+    emoji: '💬',
+    title: '{{cardTitle}}',
+    text: '_{{username}}:_ {{commentExcerpt}}',
+    color: '#9c27b0', // Purple
+  },
+  commentUpdate: {
+    emoji: '💬',
+    title: '{{cardTitle}}',
+    text: '_{{username}} (edited):_ {{commentExcerpt}}',
+    color: '#9c27b0', // Purple
+  },
+  commentDelete: {
+    emoji: '💬',
+    title: '{{cardTitle}}',
+    text: '_Comment deleted by {{username}}_',
+    color: '#607d8b', // Grey
+  },
+  attachmentCreate: {
+    emoji: '📎',
+    title: '{{cardTitle}}',
+    text: 'Attached "{{attachmentName}}"\n_Added by {{username}}_',
+    color: '#2196f3', // Light blue
+  },
+  attachmentUpdate: {
+    emoji: '📎',
+    title: '{{cardTitle}}',
+    text: 'Attachment "{{attachmentName}}" updated\n_By {{username}}_',
+    color: '#2196f3', // Light blue
+  },
+  attachmentDelete: {
+    emoji: '📎',
+    title: '{{cardTitle}}',
+    text: 'Attachment "{{attachmentName}}" removed\n_By {{username}}_',
+    color: '#f44336', // Red
+  },
+  taskCreate: {
+    emoji: '☑️',
+    title: '{{cardTitle}}',
+    text: 'New task: "{{taskName}}"\n_Added by {{username}}_',
+    color: '#4caf50', // Green
+  },
+  taskUpdate: {
+    emoji: '☑️',
+    title: '{{cardTitle}}',
+    text: 'Task "{{taskName}}" {{taskStatus}}\n_Updated by {{username}}_',
+    color: '#ff9800', // Orange
+  },
+  taskDelete: {
+    emoji: '☑️',
+    title: '{{cardTitle}}',
+    text: 'Task "{{taskName}}" deleted\n_Removed by {{username}}_',
+    color: '#f44336', // Red
+  },
+  taskListCreate: {
+    emoji: '☑️',
+    title: '{{cardTitle}}',
+    text: 'New task list: "{{taskListName}}"\n_Added by {{username}}_',
+    color: '#4caf50', // Green
+  },
+  taskListUpdate: {
+    emoji: '☑️',
+    title: '{{cardTitle}}',
+    text: 'Task list "{{taskListName}}" updated\n_By {{username}}_',
+    color: '#ff9800', // Orange
+  },
+  taskListDelete: {
+    emoji: '☑️',
+    title: '{{cardTitle}}',
+    text: 'Task list "{{taskListName}}" deleted\n_Removed by {{username}}_',
+    color: '#f44336', // Red
+  },
+  listCreate: {
+    emoji: '🗂️',
+    title: '{{listName}}',
+    text: 'New list on {{boardName}}\n_Created by {{username}}_',
+    color: '#36a64f', // Green
+  },
+  listUpdate: {
+    emoji: '🗂️',
+    title: '{{listName}}',
+    text: 'List on {{boardName}} updated\n_By {{username}}_',
+    color: '#ff9500', // Orange
+  },
+  listClear: {
+    emoji: '🗂️',
+    title: '{{listName}}',
+    text: 'All cards cleared from the list on {{boardName}}\n_By {{username}}_',
+    color: '#f44336', // Red
+  },
+  listDelete: {
+    emoji: '🗂️',
+    title: '{{listName}}',
+    text: 'List deleted from {{boardName}}\n_By {{username}}_',
+    color: '#f44336', // Red
+  },
+  boardCreate: {
+    emoji: '📋',
+    title: '{{boardName}}',
+    text: 'New board created by {{username}}',
+    color: '#36a64f', // Green
+  },
+  boardUpdate: {
+    emoji: '📋',
+    title: '{{boardName}}',
+    text: 'Board updated by {{username}}',
+    color: '#ff9500', // Orange
+  },
+  boardDelete: {
+    emoji: '📋',
+    title: '{{boardName}}',
+    text: 'Board deleted by {{username}}',
+    color: '#f44336', // Red
+  },
+  cardDueSoon: {
+    emoji: '⏰',
+    title: '{{cardTitle}}',
+    text: 'Due in {{dueIn}} ({{dueDateText}})\n{{boardName}} › {{listName}}',
+    blockText: 'Due in {{dueIn}}',
+    color: '#ff9800', // Orange
+  },
+  cardDueToday: {
+    emoji: '📅',
+    title: '{{cardTitle}}',
+    text: 'Due today\n{{boardName}} › {{listName}}',
+    blockText: 'Due today',
+    color: '#ff9800', // Orange
+  },
+  cardOverdue: {
+    emoji: '🚨',
+    title: '{{cardTitle}}',
+    text: 'Overdue since {{dueDateText}}\n{{boardName}} › {{listName}}',
+    blockText: 'Overdue since {{dueDateText}}',
+    color: '#f44336', // Red
+  },
+  digest: {
+    emoji: '🗞️',
+    title: '{{cardTitle}}',
+    text: '{{digestText}}',
+    color: '#3f51b5', // Indigo
+  },
+  test: {
+    emoji: '👋',
+    title: '{{cardTitle}}',
+    text: 'Sent from the admin page of the Planka webhook server',
+    color: '#607d8b', // Grey
+  },
+  default: {
+    emoji: '📋',
+    title: '{{cardTitle}}',
+    text: '{{event}} by {{username}}',
+    color: '#607d8b', // Grey
+  },
+};
+DEFAULT_TEMPLATES.cardEdit = DEFAULT_TEMPLATES.cardUpdate;
+
+const SECTION_PATTERN = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+const FIELD_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Helper function to look up a (dotted) field in the template view
+function lookup(view, name) {
+  return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), view);
+}
+
+// Helper function to decide whether a {{#field}} section is shown
+function isSet(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+// Helper function to turn a field value into template output
+function stringify(value) {
+  if (value == null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(stringify).join(', ');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Renders one template string (or function) against a view of the notification details.
+ *
+ * @param {string|Function} template - Template string, or (view) => string
+ * @param {Object} view - Values available to the template
+ * @returns {string} - Rendered text
+ *
+ * @example
+ * renderTemplate('{{cardTitle}}{{#labels}} [{{labels}}]{{/labels}}', { cardTitle: 'Fix login', labels: ['bug'] });
+ * // Returns: 'Fix login [bug]'
+ */
+function renderTemplate(template, view) {
+  if (typeof template === 'function') {
+    return stringify(template(view));
+  }
+
+  const withSections = String(template || '').replace(SECTION_PATTERN, (match, type, name, content) =>
+    isSet(lookup(view, name)) === (type === '#') ? renderTemplate(content, view) : ''
+  );
+  return withSections.replace(FIELD_PATTERN, (match, name) => stringify(lookup(view, name)));
+}
+
+// Helper function to add the ready-made fields the default templates use
+function buildView(event, details, mentions) {
+  const changes = details.changes || [];
+  const moreChanges = changes.length > 3 ? ` (+${changes.length - 3} more)` : '';
+  const commentText = details.commentText || '';
+
+  return {
+    ...details,
+    event,
+    mentions: mentions.join(' '),
+    changesSummary: changes.length > 0 ? `${changes.slice(0, 3).join(', ')}${moreChanges}` : '',
+    taskStatus: details.taskCompleted ? '✅ completed' : '⬜ uncompleted',
+    commentExcerpt: commentText.length > 100 ? commentText.substring(0, 100) + '...' : details.commentText,
+    dueDateText: details.dueDate ? new Date(details.dueDate).toLocaleDateString() : '',
+  };
+}
+
+// Helper function to accept a bare string as shorthand for { text }
+function normalizeTemplate(template) {
+  return typeof template === 'string' || typeof template === 'function' ? { text: template } : template || {};
+}
+
+// Helper function to find a board's overrides, comparing board names case-insensitively like routing rules
+function findBoardTemplates(boards, boardName) {
+  const key = Object.keys(boards).find((name) => name.toLowerCase() === String(boardName || '').toLowerCase());
+  return key ? boards[key] : {};
+}
+
+/**
+ * Creates the message templates from the `templates` section of config.js.
+ *
+ * Overrides are merged over the default template of an event, field by field, from the least
+ * to the most specific: `events`, then `boards.<board name>`, then `channels.<target>`. Within
+ * each level, '*' applies to every event before the event's own entry does. Channels are keyed
+ * by target as written in card descriptions, e.g. '#dev', '@jane' or 'teams:ops'.
+ *
+ * @param {Object} [settings] - The `templates` section of config.js
+ * @returns {{ resolve: Function, render: Function }} - Templates
+ *
+ * @example
+ * const templates = createTemplates({
+ *   events: { cardCreate: { emoji: '', text: 'Neue Karte von {{username}}' } },
+ *   boards: { Support: { '*': { color: '#e91e63' } } },
+ *   channels: { '#releases': { cardMove: { fields: [{ title: 'Due', value: '{{dueDateText}}' }] } } },
+ * });
+ */
+function createTemplates(settings = {}) {
+  const { events = {}, boards = {}, channels = {} } = settings;
+
+  /**
+   * Finds the template for an event, with every override that applies merged in.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   * @param {string} [channel] - The target the message goes to, e.g. '#dev' or 'teams:ops'
+   * @returns {Object} - Template
+   */
+  function resolve(event, details, channel) {
+    const levels = [events, findBoardTemplates(boards, details.boardName), (channel && channels[channel]) || {}];
+
+    return levels.reduce(
+      (template, level) => {
+        const override = { ...normalizeTemplate(level['*']), ...normalizeTemplate(level[event]) };
+        // A new text replaces the Block Kit text it was written with, unless that is overridden too
+        const blockText = 'text' in override && !('blockText' in override) ? undefined : template.blockText;
+        return { ...template, blockText, ...override };
+      },
+      { ...(DEFAULT_TEMPLATES[event] || DEFAULT_TEMPLATES.default) }
+    );
+  }
+
+  /**
+   * Renders the message parts for an event.
+   *
+   * Mentions are added to the end of the text, unless the template places them with {{mentions}}.
+   *
+   * @param {string} event - The Planka event type
+   * @param {Object} details - The card/comment details
+   * @param {Object} [options]
+   * @param {string[]} [options.mentions] - Already rendered user mentions
+   * @param {string} [options.channel] - The target the message goes to
+   * @returns {Object} - { emoji, title, body, blockBody, color, fields, format }
+   */
+  function render(event, details, { mentions = [], channel } = {}) {
+    const template = resolve(event, details, channel);
+    const view = buildView(event, details, mentions);
+    // Helper function to render a text, adding the mentions unless the template places them itself
+    const renderText = (text) => {
+      const rendered = renderTemplate(text, view);
+      const placesMentions = typeof text === 'string' && /\{\{\s*mentions\s*\}\}/.test(text);
+      return mentions.length > 0 && !placesMentions ? `${rendered} ${view.mentions}` : rendered;
+    };
+
+    return {
+      emoji: renderTemplate(template.emoji, view),
+      title: renderTemplate(template.title, view),
+      body: renderText(template.text),
+      blockBody: renderText(template.blockText === undefined ? template.text : template.blockText),
+      color: renderTemplate(template.color, view) || DEFAULT_TEMPLATES.default.color,
+      fields: (template.fields || [])
+        .map((field) => ({ title: renderTemplate(field.title, view), value: renderTemplate(field.value, view) }))
+        .filter((field) => field.value),
+      format: template.format,
+    };
+  }
+
+  return { resolve, render };
+}
+
+module.exports = { DEFAULT_TEMPLATES, createTemplates, renderTemplate };
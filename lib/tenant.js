@@ -0,0 +1,702 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createAdmin } = require('./admin');
+const { createAuth } = require('./auth');
+const { createDebouncer } = require('./batching');
+const { createCaptureLog } = require('./capture');
+const { createDeliveryQueue } = require('./deliveryQueue');
+const { createDigestScheduler } = require('./digests');
+const { EVENT_CATALOGUE, createEventFilter, getEventSubject } = require('./events');
+const { createHealthCheck } = require('./health');
+const { createDeliveryHistory } = require('./history');
+const { readRequestBody, sendAuthFailure, sendJsonResponse } = require('./httpHelpers');
+const { addContext, logger, runWithContext } = require('./logger');
+const { getErrorCode, metrics, renderMetrics } = require('./metrics');
+const { createNotifiers, groupTargetsByNotifier, parseTarget } = require('./notifiers');
+const { createPlankaClient } = require('./plankaClient');
+const { createPreferenceStore, validatePreferences } = require('./preferences');
+const { createReminderScheduler } = require('./reminders');
+const { applyRouting, createRouter } = require('./routing');
+const { createRuleStore } = require('./ruleStore');
+const { createSeenCache } = require('./seenCache');
+const { createSlackEvents } = require('./slackEvents');
+const { createSlackInteractions } = require('./slackInteractions');
+const { createSubscriptionStore } = require('./subscriptions');
+const { createTemplates } = require('./templates');
+const { SLACK_USER_ID_PATTERN, createUserMapping } = require('./userMapping');
+const { DEFAULT_DETAILS, extractWebhookDetails, findPayloadError } = require('./webhookDetails');
+
+// Settings of the server itself; every other setting in config.js is the base of each tenant's settings
+const SERVER_SETTINGS = ['port', 'dataDir', 'logLevel', 'logFormat', 'tenants'];
+
+// Tenant names are used in URLs and directory names
+const TENANT_NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+/**
+ * Works out the tenants in config.js and their settings.
+ *
+ * Without `tenants`, config.js is a single tenant named `default`. Each entry of `tenants` is
+ * laid over the top-level settings: a section the tenant sets (slack, routing, ...) replaces the
+ * top-level one. `accessToken` isn't inherited, as requests without a /tenants/<name> prefix are
+ * routed by their token. The top-level settings stay the `default` tenant if they have a token.
+ *
+ * @param {Object} config - The exports of config.js
+ * @returns {Object} - Settings of each tenant, by name
+ */
+function getTenantConfigs(config) {
+  const base = Object.fromEntries(Object.entries(config).filter(([key]) => !SERVER_SETTINGS.includes(key)));
+  const configs = {};
+
+  if (!config.tenants || base.accessToken) {
+    configs.default = base;
+  }
+
+  for (const [name, tenantConfig] of Object.entries(config.tenants || {})) {
+    if (!TENANT_NAME_PATTERN.test(name)) {
+      logger.error(`❌ Invalid tenant name "${name}": use letters, digits, hyphens and underscores`);
+      continue;
+    }
+    configs[name] = { ...base, accessToken: undefined, ...tenantConfig };
+  }
+
+  return configs;
+}
+
+// Helper function to get the directory a tenant keeps its state in; `default` uses the server's data directory
+function getTenantDataDir(dataDir, name) {
+  return name === 'default' ? dataDir : path.join(dataDir, 'tenants', name);
+}
+
+/**
+ * Creates a tenant: one Planka instance and the Slack workspace and other notifiers it posts to.
+ *
+ * Everything a tenant needs is built from its own configuration (auth, notifiers, routing,
+ * schedulers, delivery queue) and its state is kept in its own data directory, so tenants can be
+ * reloaded one at a time and a tenant that fails to start doesn't affect the others.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Tenant name, added to logs and metrics
+ * @param {Object} options.config - The tenant's settings, in the format of config.js
+ * @param {string} options.dataDir - Directory for the tenant's queue, threads, preferences, etc.
+ * @returns {Object} - Tenant with name, config, auth, handleRequest(), reportError(), start() and stop()
+ */
+function createTenant({ name, config, dataDir }) {
+  const plankaUrl = (config.planka?.baseUrl || '').replace(/\/+$/, '');
+
+  // Access tokens, IP allow-list and signature checks for incoming requests
+  const auth = createAuth(config);
+
+  // The admin page may have a token of its own, so the token Planka sends webhooks with can't change routing rules
+  const adminAuth = config.admin?.accessToken ? createAuth({ ...config, accessToken: config.admin.accessToken }) : auth;
+
+  // Message templates: built-in defaults with the overrides from config.js
+  const templates = createTemplates(config.templates);
+
+  // Planka REST API client acting as the service user, for the buttons on Slack notifications
+  const plankaClient = createPlankaClient(config.planka);
+
+  // Every backend configured in config.js (Slack, Teams, Discord, Mattermost, webhooks, email)
+  const notifiers = createNotifiers(config, {
+    tenant: name,
+    dataDir,
+    templates,
+    interactive: !!(plankaClient && config.slack?.signingSecret),
+  });
+
+  // Per-user notification preferences, keyed by Slack user ID
+  const preferences = createPreferenceStore({
+    file: path.join(dataDir, 'preferences.json'),
+    resolveUser: (target) => (notifiers.slack ? notifiers.slack.resolveUser(target) : null),
+  });
+
+  // Planka users mapped to Slack users in config.js
+  const userMapping = createUserMapping({
+    users: config.users,
+    resolveUser: (target) => (notifiers.slack ? notifiers.slack.resolveUser(target) : null),
+    matchEmails: config.slack?.matchUsersByEmail !== false,
+  });
+
+  // Boards that Slack channels subscribed to with `/planka subscribe`
+  const subscriptions = createSubscriptionStore(path.join(dataDir, 'subscriptions.json'));
+
+  // The `/planka` slash command and the buttons on Slack notifications
+  const slackInteractions = notifiers.slack
+    ? createSlackInteractions({
+        slack: notifiers.slack,
+        planka: plankaClient,
+        preferences,
+        subscriptions,
+        userMapping,
+        admins: config.slack?.admins,
+      })
+    : null;
+
+  // Replies in Slack threads become comments on the card
+  const slackEvents = notifiers.slack
+    ? createSlackEvents({ slack: notifiers.slack, planka: plankaClient, userMapping })
+    : null;
+
+  // Which Planka events send notifications, from config.js on top of the defaults
+  const isEventEnabled = createEventFilter(config.events);
+
+  // Routing rules made on the admin page
+  const rules = createRuleStore(path.join(dataDir, 'routing-rules.json'));
+
+  // Declarative routing rules from config.js and the admin page, applied on top of the card description
+  let router = createRouter([...(config.routing?.rules || []), ...rules.list()]);
+
+  // Outbound deliveries are queued on disk so they survive failures and restarts
+  const deliveryQueue = createDeliveryQueue({
+    ...config.queue,
+    file: path.join(dataDir, 'delivery-queue.json'),
+    deliver: (job) => {
+      // Jobs queued before notifiers existed have no notifier and always went to Slack
+      const { notifier = 'slack', event, details, targets, destination } = job.payload;
+
+      return runWithContext({ tenant: name, event, cardId: details.cardId, destination: job.key }, async () => {
+        const result = notifiers[notifier]
+          ? await notifiers[notifier].send(event, details, targets, destination)
+          : { ok: false, error: `${notifier} is not configured` };
+
+        // Destinations come from card descriptions, so they are left to the logs and the admin page
+        metrics.deliveries.inc({
+          tenant: name,
+          notifier,
+          status: result.ok ? 'ok' : 'failed',
+          error: getErrorCode(result),
+        });
+        health.recordDelivery(job.key, result);
+        history.recordDelivery(details.webhookIds || [], job.key, result);
+        return result;
+      });
+    },
+  });
+
+  // Last webhook and delivery failure, plus the Slack token, scope and channel checks of /health?deep=1
+  const health = createHealthCheck({ slack: notifiers.slack, deliveryQueue });
+
+  // Recent webhooks with the outcome of their deliveries, and the targets of each card, for the admin page
+  const history = createDeliveryHistory({ ...config.admin, file: path.join(dataDir, 'history.json') });
+
+  // Webhooks already handled, so a delivery that is retried isn't notified twice
+  const seenWebhooks = createSeenCache({ ttl: config.http?.dedupeWindow });
+
+  // Raw webhooks with their details and routing decision, for debugging and `npm run replay`
+  const captureLog = createCaptureLog({ capture: config.capture, dir: path.join(dataDir, 'captures') });
+
+  // Bursts of edits on one card are merged into a single notification
+  const debouncer = createDebouncer({
+    ...config.batching,
+    send: sendInBackground,
+  });
+
+  // Scheduled hourly/daily summaries of board activity
+  const digestScheduler = createDigestScheduler({
+    digests: config.digests,
+    file: path.join(dataDir, 'digests.json'),
+    templates,
+    send: sendInBackground,
+  });
+
+  // Reminders before and after cards' due dates
+  const reminderScheduler = createReminderScheduler({
+    reminders: config.reminders,
+    file: path.join(dataDir, 'reminders.json'),
+    send: sendInBackground,
+  });
+
+  // Helper function to determine if a notification should be sent
+  function shouldSendNotification(event, details) {
+    // Send notifications for the events enabled in config.js (see lib/events.js for the defaults)
+    return isEventEnabled(event) && details.notifyTargets.length > 0;
+  }
+
+  // Helper function to add the Slack users of who made the change and of the card's members, for mentions
+  async function addSlackUsers(event, details) {
+    if (!notifiers.slack) {
+      return details;
+    }
+
+    const { actorSlackId, memberSlackIds } = await userMapping.findSlackUsers(details);
+
+    // Reminders and digests aren't anyone's change
+    const withActor = { ...details, actorSlackId: EVENT_CATALOGUE[event] ? actorSlackId : null };
+
+    // Members whose preferences rule out this notification aren't mentioned either
+    return { ...withActor, memberSlackIds: await preferences.filterUserIds(event, withActor, memberSlackIds) };
+  }
+
+  // Helper function to identify a webhook delivery: the sender's ID if it gives one, otherwise a hash of the body,
+  // which is the same when a delivery is retried
+  function getDeliveryId(req, body) {
+    const id = req.headers['idempotency-key'] || req.headers['x-delivery-id'];
+    return id ? `id:${id}` : `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+  }
+
+  // Helper function to send notification
+  async function sendNotification(event, cardDetails) {
+    logger.info(`🔔 NOTIFY: ${event} on "${cardDetails.cardTitle}" → ${cardDetails.notifyTargets.join(', ')}`);
+    const details = await addSlackUsers(event, cardDetails);
+
+    // Leave out users whose preferences don't want this notification
+    const notifyTargets = await preferences.filterTargets(event, details);
+
+    // Queue one delivery per notifier destination, each is retried independently
+    const queued = [];
+
+    for (const [name, targets] of Object.entries(groupTargetsByNotifier(notifyTargets))) {
+      const notifier = notifiers[name];
+
+      if (!notifier) {
+        logger.warn(`⚠️  ${name} is not configured in config.js. Skipping ${targets.join(', ')}`);
+        continue;
+      }
+
+      for (const destination of await notifier.getDestinations(targets)) {
+        deliveryQueue.enqueue(
+          { notifier: name, event, details, targets, destination },
+          `${name}:${destination}`,
+          `${event} on "${details.cardTitle}"`
+        );
+        queued.push(`${name}:${destination}`);
+      }
+    }
+
+    return queued;
+  }
+
+  // Helper function to send a test message from the admin page; it is kept in the history like a webhook
+  async function sendTestMessage(target) {
+    const details = { ...DEFAULT_DETAILS, cardTitle: 'Test message', notifyTargets: [target] };
+    const webhookId = history.recordWebhook('test', details, {}, true);
+    const queued = await sendNotification('test', { ...details, webhookIds: [webhookId] });
+    return { webhookId, queued };
+  }
+
+  // The admin page: recent webhooks and deliveries, cards' targets, routing rules and test messages
+  const admin = createAdmin({
+    history,
+    rules,
+    configRules: config.routing?.rules,
+    onRulesChange: () => {
+      router = createRouter([...(config.routing?.rules || []), ...rules.list()]);
+    },
+    sendTestMessage,
+    limits: config.http,
+  });
+
+  // Helper function to send a notification from a timer (batches, digests, reminders). A failure is reported to this
+  // tenant's logging channel, and passed on to the caller
+  async function sendInBackground(event, details) {
+    try {
+      return await sendNotification(event, details);
+    } catch (error) {
+      reportError(`Sending ${event} on "${details.cardTitle}"`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handles a webhook that passed authentication, validation and the duplicate check: routes it,
+   * records it and hands it to the debouncer, then answers Planka.
+   *
+   * @param {http.ServerResponse} res - The response
+   * @param {Object} payload - The parsed webhook body
+   * @param {string} body - The raw webhook body, for extraction and the capture log
+   * @returns {boolean} - False if the webhook was rejected, so a retry is handled again
+   */
+  function handleWebhook(res, payload, body) {
+    // Fields of unexpected types can still trip up the extraction, which is the payload's fault as well
+    let details;
+    try {
+      details = extractWebhookDetails(body, { plankaUrl, directives: config.directives });
+    } catch (error) {
+      logger.warn(`⚠️  Rejected ${payload.event} webhook whose details can't be read: ${error.message}`);
+      sendJsonResponse(res, 400, {
+        error: 'Invalid payload',
+        message: `Unexpected webhook contents: ${error.message}`,
+      });
+      return false;
+    }
+    const event = payload.event;
+    addContext({ event, cardId: details.cardId });
+    // Events come from the payload, so only the ones in the catalogue get a series of their own
+    metrics.webhooks.inc({ tenant: name, event: EVENT_CATALOGUE[event] ? event : 'other' });
+
+    // Merge targets from the routing rules and channel subscriptions with the ones in the card description
+    const routing = applyRouting(router, subscriptions, event, details);
+
+    // Simple debug: log ALL events that reach us
+    logger.debug(`🌐 Raw webhook event: ${event}`);
+
+    // More informative debug output
+    const subject = getEventSubject(event);
+    const subjectName = { list: details.listName, board: details.boardName }[subject] || details.cardTitle;
+    let eventDescription = `📨 ${event} on "${subjectName}"`;
+    if (event === 'cardUpdate' && details.changes && details.changes.length > 0) {
+      eventDescription += ` - ${details.changes.join(', ')}`;
+    } else if (event === 'commentCreate') {
+      eventDescription += ` - comment: "${details.commentText?.substring(0, 50)}..."`;
+
+      // The full payload is in the capture log, see `capture` in config.js
+      if (details.notifyTargets.length === 0) {
+        logger.warn(`  ⚠️  No notification channels found in card description`);
+        if (details.description) {
+          logger.debug(`  📝 Card description: "${details.description.substring(0, 100)}..."`);
+        } else {
+          logger.debug(`  📝 Card has no description`);
+        }
+      }
+    } else if (subject === 'task') {
+      eventDescription += ` - task: "${details.taskName}"`;
+      if (event === 'taskUpdate' && details.taskCompleted !== undefined) {
+        eventDescription += details.taskCompleted ? ' (completed)' : ' (uncompleted)';
+      }
+    }
+    logger.info(eventDescription);
+
+    if (!routing.excluded && details.cardId) {
+      digestScheduler.record(event, details);
+    }
+
+    // Excluded cards get no reminders either
+    reminderScheduler.track(event, routing.excluded ? { ...details, notifyTargets: [], directives: [] } : details);
+
+    // A reply synced from a Slack thread is already in Slack; other notifiers still get the comment
+    if (slackEvents && slackEvents.isEcho(event, details)) {
+      logger.info(`  🔁 ${event} came from a Slack reply, not posting it back to Slack`);
+      details.notifyTargets = details.notifyTargets.filter((target) => parseTarget(target).notifier !== 'slack');
+    }
+
+    const shouldSend = shouldSendNotification(event, details);
+    captureLog.record({ event, body, details, routing, sent: shouldSend });
+
+    // Deliveries are recorded against the webhooks they notify about
+    details.webhookIds = [history.recordWebhook(event, details, routing, shouldSend)];
+
+    if (shouldSend) {
+      debouncer.add(event, details);
+    } else if (!isEventEnabled(event) && details.notifyTargets.length > 0) {
+      logger.info(`  ℹ️  ${event} not sent (not enabled in config.js events)`);
+    } else if ((event === 'commentCreate' || subject === 'task') && details.notifyTargets.length === 0) {
+      logger.info(`  ℹ️  ${event} not sent (no notify channels in card description or routing rules)`);
+    }
+
+    sendJsonResponse(res, 200, {
+      status: 'success',
+      message: 'Webhook received successfully',
+      timestamp: new Date().toISOString(),
+    });
+    return true;
+  }
+
+  // Helper function to read, replace or delete a user's notification preferences
+  async function handlePreferencesRequest(req, res, method, userKey) {
+    if (!userKey) {
+      if (method === 'GET') {
+        sendJsonResponse(res, 200, { users: preferences.list() });
+      } else {
+        sendJsonResponse(res, 405, {
+          error: 'Method not allowed',
+          message: 'Use /preferences/:user to change preferences',
+        });
+      }
+      return;
+    }
+
+    // Users are given as a Slack user ID, @name or @email
+    const target = SLACK_USER_ID_PATTERN.test(userKey) ? userKey : `@${userKey.replace(/^@/, '')}`;
+    let user = null;
+    try {
+      user = notifiers.slack ? await notifiers.slack.resolveUser(target) : null;
+    } catch (error) {
+      sendJsonResponse(res, 502, { error: 'Slack unavailable', message: error.message });
+      return;
+    }
+
+    if (!user) {
+      sendJsonResponse(res, 404, { error: 'Unknown user', message: `No Slack user found for ${userKey}` });
+      return;
+    }
+
+    if (method === 'GET') {
+      sendJsonResponse(res, 200, { user: user.id, preferences: preferences.get(user.id) || {} });
+    } else if (method === 'PUT') {
+      let input;
+      try {
+        input = JSON.parse(await readRequestBody(req, config.http));
+      } catch (error) {
+        sendJsonResponse(res, 400, { error: 'Invalid JSON', message: error.message });
+        return;
+      }
+
+      const { preferences: validated, errors } = validatePreferences(input);
+      if (errors.length > 0) {
+        sendJsonResponse(res, 400, { error: 'Invalid preferences', errors });
+        return;
+      }
+
+      logger.info(`⚙️  Updated notification preferences of ${user.name || user.id}`);
+      sendJsonResponse(res, 200, { user: user.id, preferences: preferences.set(user.id, validated) });
+    } else if (method === 'DELETE') {
+      preferences.remove(user.id);
+      logger.info(`⚙️  Removed notification preferences of ${user.name || user.id}`);
+      sendJsonResponse(res, 200, { user: user.id, preferences: {} });
+    } else {
+      sendJsonResponse(res, 405, { error: 'Method not allowed', message: 'Use GET, PUT or DELETE' });
+    }
+  }
+
+  /**
+   * Handles a request for this tenant, e.g. POST /webhook or GET /queue.
+   *
+   * @param {http.IncomingMessage} req - The incoming request
+   * @param {http.ServerResponse} res - The response
+   * @param {Object} route - { path, method, query } of the request, the path without any /tenants/<name> prefix
+   */
+  async function handleRequest(req, res, { path, method, query }) {
+    if (method === 'POST' && path === '/webhook') {
+      // Read request body for POST requests
+      const body = await readRequestBody(req, config.http);
+
+      // Validate access token, client address and signature for webhook endpoint
+      const authResult = auth.authenticateWebhook(req, body);
+      if (!authResult.ok) {
+        sendAuthFailure(req, res, authResult);
+        return;
+      }
+
+      // Webhook endpoint for Planka
+      health.recordWebhook();
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        logger.warn(`⚠️  Rejected webhook with invalid JSON: ${error.message}`);
+        sendJsonResponse(res, 400, { error: 'Invalid JSON', message: error.message });
+        return;
+      }
+
+      const payloadError = findPayloadError(payload);
+      if (payloadError) {
+        logger.warn(`⚠️  Rejected invalid webhook: ${payloadError}`);
+        sendJsonResponse(res, 400, { error: 'Invalid payload', message: payloadError });
+        return;
+      }
+
+      // Planka retries deliveries that failed or timed out, which must not notify twice
+      const deliveryId = getDeliveryId(req, body);
+      if (seenWebhooks.has(deliveryId)) {
+        logger.info(`🔁 Ignoring duplicate ${payload.event} webhook`);
+        sendJsonResponse(res, 200, {
+          status: 'duplicate',
+          message: 'Webhook already received',
+          timestamp: new Date().toISOString(),
+        });
+        return;
+      }
+
+      // Marked straight away, so a retry that arrives while this one is handled is a duplicate too
+      seenWebhooks.add(deliveryId);
+      try {
+        if (!handleWebhook(res, payload, body)) {
+          seenWebhooks.delete(deliveryId);
+        }
+      } catch (error) {
+        // A webhook that failed is handled again when Planka retries it
+        seenWebhooks.delete(deliveryId);
+        throw error;
+      }
+    } else if (method === 'GET' && path === '/queue') {
+      // Delivery queue status includes card titles, so it requires the access token
+      const authResult = auth.authenticateRequest(req);
+      if (!authResult.ok) {
+        sendAuthFailure(req, res, authResult);
+        return;
+      }
+
+      sendJsonResponse(res, 200, {
+        ...deliveryQueue.getStats(),
+        timestamp: new Date().toISOString(),
+      });
+    } else if (method === 'GET' && path === '/metrics') {
+      // Prometheus metrics; they show the tenant's activity, so it requires the access token
+      const authResult = auth.authenticateRequest(req);
+      if (!authResult.ok) {
+        sendAuthFailure(req, res, authResult);
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(renderMetrics({ tenant: name }));
+    } else if (path === '/preferences' || path.startsWith('/preferences/')) {
+      // Notification preferences, keyed by Slack user: /preferences/U123ABC, /preferences/@john
+      const authResult = auth.authenticateRequest(req);
+      if (!authResult.ok) {
+        sendAuthFailure(req, res, authResult);
+        return;
+      }
+
+      let userKey;
+      try {
+        userKey = decodeURIComponent(path.slice('/preferences/'.length));
+      } catch (error) {
+        sendJsonResponse(res, 400, {
+          error: 'Invalid user',
+          message: 'The user in the path is not URL-encoded properly',
+        });
+        return;
+      }
+
+      await handlePreferencesRequest(req, res, method, userKey);
+    } else if (method === 'POST' && path === '/slack/events') {
+      // Slack Events API: replies in card threads, signed with the app's signing secret
+      const body = await readRequestBody(req, config.http);
+
+      const authResult = auth.authenticateSlack(req, body);
+      if (!authResult.ok) {
+        sendAuthFailure(req, res, authResult);
+        return;
+      }
+
+      let envelope;
+      try {
+        envelope = JSON.parse(body);
+      } catch (error) {
+        sendJsonResponse(res, 400, { error: 'Invalid JSON', message: error.message });
+        return;
+      }
+
+      // Slack checks the request URL once when it is saved in the app settings
+      if (envelope.type === 'url_verification') {
+        sendJsonResponse(res, 200, { challenge: envelope.challenge });
+        return;
+      }
+
+      res.writeHead(200);
+      res.end();
+
+      // Every event is acknowledged straight away, so retries are only ever duplicates
+      if (!slackEvents || req.headers['x-slack-retry-num']) {
+        return;
+      }
+      slackEvents.handleEvent(envelope).catch((error) => {
+        logger.error(`❌ Error handling Slack event: ${error.message}`);
+      });
+    } else if (method === 'POST' && (path === '/slack/commands' || path === '/slack/interactions')) {
+      // Slack sends slash commands and interactions as forms, signed with the app's signing secret
+      const body = await readRequestBody(req, config.http);
+
+      const authResult = auth.authenticateSlack(req, body);
+      if (!authResult.ok) {
+        sendAuthFailure(req, res, authResult);
+        return;
+      }
+
+      if (!slackInteractions) {
+        sendJsonResponse(res, 404, { error: 'Not found', message: 'Slack is not configured' });
+        return;
+      }
+
+      const form = Object.fromEntries(new URLSearchParams(body));
+
+      if (path === '/slack/commands') {
+        sendJsonResponse(res, 200, slackInteractions.handleCommand(form));
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(form.payload);
+      } catch (error) {
+        sendJsonResponse(res, 400, { error: 'Invalid payload', message: error.message });
+        return;
+      }
+
+      // Acknowledge right away: Slack gives up after 3 seconds, and Planka may take longer
+      res.writeHead(200);
+      res.end();
+      slackInteractions.handleInteraction(payload).catch((error) => {
+        logger.error(`❌ Error handling Slack ${payload.type}: ${error.message}`);
+      });
+    } else if (method === 'GET' && path === '/admin') {
+      // The page itself holds no data, it asks for the access token to call the admin API
+      admin.sendPage(res);
+    } else if (path.startsWith('/admin/api/')) {
+      // Webhook history, cards' targets, routing rules and test messages
+      const authResult = adminAuth.authenticateRequest(req);
+      if (!authResult.ok) {
+        sendAuthFailure(req, res, authResult);
+        return;
+      }
+
+      await admin.handleApiRequest(req, res, method, path.slice('/admin/api'.length));
+    } else if (method === 'GET' && path === '/health') {
+      // Health check endpoint; the deep check calls Slack and names channels, so it requires the access token
+      const deep = ['1', 'true'].includes(query.deep);
+      if (deep) {
+        const authResult = auth.authenticateRequest(req);
+        if (!authResult.ok) {
+          sendAuthFailure(req, res, authResult);
+          return;
+        }
+      }
+
+      const { healthy, report } = await health.check({ deep });
+      sendJsonResponse(res, healthy ? 200 : 503, report);
+    } else {
+      // Catch-all route for any other requests
+      logger.warn(`⚠️  Unhandled ${method} request to ${path}`);
+      sendJsonResponse(res, 404, {
+        error: 'Not found',
+        message: 'This endpoint is not configured',
+        availableEndpoints: [
+          'POST /webhook',
+          'GET /',
+          'GET /health',
+          'GET /queue',
+          'GET /metrics',
+          'GET/PUT/DELETE /preferences/:user',
+          'POST /slack/events',
+          'POST /slack/commands',
+          'POST /slack/interactions',
+          'GET /admin',
+        ],
+      });
+    }
+  }
+
+  // Helper function to report an error to this tenant's Slack logging channel, if there is one
+  function reportError(context, error) {
+    if (notifiers.slack) {
+      notifiers.slack.logServerError(context, error);
+    }
+  }
+
+  // Helper function to start the queue and schedulers; their timers log with the tenant's name
+  function start() {
+    runWithContext({ tenant: name }, () => {
+      deliveryQueue.start();
+      digestScheduler.start();
+      reminderScheduler.start();
+    });
+  }
+
+  /**
+   * Stops the tenant: held back notifications are queued, and the delivery in progress is finished.
+   *
+   * @returns {Promise} - Resolves once the tenant is idle
+   */
+  async function stop() {
+    await debouncer.flushAll().catch((error) => {
+      logger.error(`❌ Error sending held back notifications: ${error.message}`);
+    });
+    digestScheduler.stop();
+    reminderScheduler.stop();
+    await deliveryQueue.stop();
+  }
+
+  return { name, config, auth, getQueueStats: deliveryQueue.getStats, handleRequest, reportError, start, stop };
+}
+
+module.exports = { createTenant, getTenantConfigs, getTenantDataDir };
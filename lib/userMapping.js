@@ -0,0 +1,120 @@
+const { logger } = require('./logger');
+
+// Slack user IDs, e.g. U01ABCDEF (W for Enterprise Grid users)
+const SLACK_USER_ID_PATTERN = /^[UW][A-Z0-9]{6,}$/;
+
+// Helper function to turn a Slack user from the `users` section into a target resolveUser() understands
+function toSlackTarget(slackUser) {
+  return SLACK_USER_ID_PATTERN.test(slackUser) ? slackUser : `@${String(slackUser).replace(/^@/, '')}`;
+}
+
+/**
+ * Creates the mapping between Planka users and Slack users, from the `users` section of config.js.
+ *
+ * Each entry maps a Planka username to a Slack user, given as a user ID, @name or email. Planka
+ * users missing from it can be matched by their email (users.lookupByEmail). Slack users are
+ * looked up when first needed and the answer is cached.
+ *
+ * @param {Object} options
+ * @param {Object} [options.users] - The `users` section of config.js, e.g. { jane: '@jane.doe', bob: 'U01ABCDEF' }
+ * @param {Function} options.resolveUser - async (target) => { id, name } or null, e.g. the Slack notifier's resolveUser
+ * @param {boolean} [options.matchEmails] - Whether to match unmapped Planka users by email
+ * @returns {Object} - Mapping with findPlankaUser(), findSlackUser() and findSlackUsers()
+ */
+function createUserMapping({ users = {}, resolveUser, matchEmails = true }) {
+  // Planka username by Slack user ID, filled in on first use
+  let plankaUsersBySlackId = null;
+
+  // Slack user ID (or null) by Planka username or email, filled in as users are seen
+  const slackIdsByPlankaUser = new Map();
+
+  // Helper function to look up the Slack user of every configured Planka user
+  async function loadSlackIds() {
+    const mapping = new Map();
+
+    for (const [plankaUser, slackUser] of Object.entries(users)) {
+      try {
+        const user = await resolveUser(toSlackTarget(slackUser));
+        if (user) {
+          mapping.set(user.id, plankaUser);
+        } else {
+          logger.warn(`⚠️  Slack user ${slackUser} for Planka user "${plankaUser}" not found`);
+        }
+      } catch (error) {
+        logger.error(`❌ Error looking up Slack user ${slackUser}: ${error.message}`);
+        return null; // Try again next time
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Finds the Planka user mapped to a Slack user.
+   *
+   * @param {string} slackUserId - The Slack user ID
+   * @returns {Promise<string|null>} - The Planka username, or null if the user isn't mapped
+   */
+  async function findPlankaUser(slackUserId) {
+    if (!plankaUsersBySlackId && Object.keys(users).length > 0) {
+      plankaUsersBySlackId = await loadSlackIds();
+    }
+    return plankaUsersBySlackId?.get(slackUserId) || null;
+  }
+
+  /**
+   * Finds the Slack user of a Planka user: the one mapped in `users`, or else the Slack user with
+   * the same email.
+   *
+   * @param {Object|null} plankaUser - { username, email } of the Planka user
+   * @returns {Promise<string|null>} - The Slack user ID, or null if there is no match
+   */
+  async function findSlackUser(plankaUser) {
+    const key = plankaUser?.username || plankaUser?.email;
+    if (!key) {
+      return null;
+    }
+    if (slackIdsByPlankaUser.has(key)) {
+      return slackIdsByPlankaUser.get(key);
+    }
+
+    const configured = plankaUser.username && users[plankaUser.username];
+    let target = null;
+    if (configured) {
+      target = toSlackTarget(configured);
+    } else if (matchEmails && plankaUser.email) {
+      target = `@${plankaUser.email}`;
+    }
+
+    try {
+      const user = target ? await resolveUser(target) : null;
+      slackIdsByPlankaUser.set(key, user?.id || null);
+      return user?.id || null;
+    } catch (error) {
+      logger.error(`❌ Error looking up Slack user of Planka user "${key}": ${error.message}`);
+      return null; // Try again next time
+    }
+  }
+
+  /**
+   * Finds the Slack users of an event's actor and of the card's members (and a task's assignee).
+   *
+   * @param {Object} details - The card/comment details, with actor and memberUsers
+   * @returns {Promise<{ actorSlackId: string|null, memberSlackIds: string[] }>} - The Slack user IDs found
+   */
+  async function findSlackUsers(details) {
+    const memberSlackIds = [];
+    for (const member of details.memberUsers || []) {
+      const slackId = await findSlackUser(member);
+      if (slackId && !memberSlackIds.includes(slackId)) {
+        memberSlackIds.push(slackId);
+      }
+    }
+
+    return { actorSlackId: await findSlackUser(details.actor), memberSlackIds };
+  }
+
+  return { findPlankaUser, findSlackUser, findSlackUsers };
+}
+
+module.exports = { SLACK_USER_ID_PATTERN, createUserMapping };
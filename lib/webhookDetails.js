@@ -0,0 +1,280 @@
+const { detectCardChanges, formatChange } = require('./changes');
+const { parseDirectives, resolveDirectives } = require('./directives');
+const { getEventSubject } = require('./events');
+
+// Default webhook details
+const DEFAULT_DETAILS = {
+  cardId: null,
+  cardTitle: 'N/A',
+  cardUrl: null,
+  boardId: null,
+  boardName: 'N/A',
+  boardUrl: null,
+  listId: null,
+  listName: 'N/A',
+  fromListName: null,
+  username: 'N/A',
+  actor: null,
+  labels: [],
+  members: [],
+  memberUsers: [],
+  notifyTargets: [],
+  directives: [],
+  directiveTargets: [],
+  excludedTargets: [],
+  commentId: null,
+  commentText: null,
+  isComment: false,
+  isTask: false,
+  taskId: null,
+  taskName: null,
+  taskCompleted: false,
+  taskListName: null,
+  attachmentName: null,
+  labelName: null,
+  memberName: null,
+  description: null,
+  dueDate: null,
+  isCompleted: false,
+  listType: null,
+  changes: [],
+  changeRecords: [],
+};
+
+// Where directives are read besides the card description, see `directives` in config.js
+const DEFAULT_DIRECTIVE_SOURCES = {
+  labels: true, // labels named like a directive, e.g. "notify #releases on move"
+  customField: 'Notify', // a custom field with targets (and events), e.g. "#dev @anna on comment"
+};
+
+// Helper function to collect the directives of a card from its description, labels and custom field
+function findCardDirectives(details, included, sources) {
+  const directives = parseDirectives(details.description);
+
+  if (sources.labels) {
+    for (const label of details.labels) {
+      directives.push(...parseDirectives(label));
+    }
+  }
+
+  const field = sources.customField
+    ? (included?.customFields || []).find(
+        (candidate) => String(candidate.name).toLowerCase() === sources.customField.toLowerCase()
+      )
+    : null;
+  if (field) {
+    const values = (included?.customFieldValues || []).filter(
+      (value) => value.customFieldId === field.id && (!details.cardId || value.cardId === details.cardId)
+    );
+    for (const value of values) {
+      directives.push(...parseDirectives(`notify ${value.content || ''}`));
+    }
+  }
+
+  return directives;
+}
+
+// Helper function to keep what identifies a Planka user, for matching them to Slack users
+function toPlankaUser(user) {
+  return { id: user.id || null, username: user.username || null, name: user.name || null, email: user.email || null };
+}
+
+// Helper function to build a link into the Planka UI, or null if planka.baseUrl isn't configured
+function getPlankaUrl(plankaUrl, type, id) {
+  return plankaUrl && id ? `${plankaUrl}/${type}/${id}` : null;
+}
+
+// Helper function to check that a value is a plain object
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks that a parsed webhook has the shape Planka sends, so its details can be extracted.
+ *
+ * @param {*} payload - The parsed request body
+ * @returns {string|null} - What is wrong with it, or null if nothing is
+ */
+function findPayloadError(payload) {
+  if (!isObject(payload) || typeof payload.event !== 'string') {
+    return 'Expected a Planka webhook: a JSON object with an event';
+  }
+
+  for (const key of ['data', 'prevData', 'user']) {
+    if (payload[key] !== undefined && payload[key] !== null && !isObject(payload[key])) {
+      return `${key} must be an object`;
+    }
+  }
+
+  for (const key of ['data', 'prevData']) {
+    const { item, included } = payload[key] || {};
+    if (item !== undefined && item !== null && !isObject(item)) {
+      return `${key}.item must be an object`;
+    }
+    if (included === undefined || included === null) {
+      continue;
+    }
+    if (!isObject(included)) {
+      return `${key}.included must be an object`;
+    }
+    for (const [name, list] of Object.entries(included)) {
+      if (!Array.isArray(list) || !list.every(isObject)) {
+        return `${key}.included.${name} must be a list of objects`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extracts the details of a Planka webhook: the card (or comment, task, ...) it is about, its
+ * board and list, who acted, the notification targets of the card's directives and, for card
+ * updates, what changed (see lib/changes.js).
+ *
+ * @param {string} body - The raw webhook body
+ * @param {Object} [options]
+ * @param {string} [options.plankaUrl] - Base URL of the Planka UI, for links to cards and boards
+ * @param {Object} [options.directives] - The `directives` section of config.js
+ * @returns {Object} - The card/comment details; the defaults if the body isn't valid JSON
+ */
+function extractWebhookDetails(body, { plankaUrl, directives = {} } = {}) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (e) {
+    return { ...DEFAULT_DETAILS };
+  }
+
+  let details = { ...DEFAULT_DETAILS };
+
+  // Handle Planka webhook format
+  const { data: webhookData, prevData, user } = data || {};
+  const { item, included } = webhookData || {};
+  const prevItem = prevData?.item;
+
+  if (item) {
+    const subject = getEventSubject(data.event);
+
+    switch (subject) {
+      case 'comment':
+        details.isComment = true;
+        details.commentId = item.id || null;
+        details.commentText = item.text || item.content || 'N/A';
+        break;
+
+      case 'task':
+        details.isTask = true;
+        details.taskId = item.id || null;
+        details.taskName = item.name || 'N/A';
+        details.taskCompleted = item.isCompleted || false;
+        break;
+
+      case 'taskList':
+        details.taskListName = item.name || 'N/A';
+        break;
+
+      case 'attachment':
+        details.attachmentName = item.name || 'N/A';
+        break;
+
+      case 'cardLabel':
+        details.labelName = included?.labels?.find((label) => label.id === item.labelId)?.name || 'N/A';
+        break;
+
+      case 'cardMembership': {
+        const member = included?.users?.find((candidate) => candidate.id === item.userId);
+        details.memberName = member?.name || member?.username || 'N/A';
+        break;
+      }
+    }
+
+    if (subject === 'card') {
+      // For regular card events, title is in item.name
+      details.cardId = item.id || null;
+      details.cardTitle = item.name || 'N/A';
+      details.description = item.description || null;
+      details.dueDate = item.dueDate || null;
+      details.isCompleted = !!(item.isDueCompleted || item.isDueDateCompleted || item.isCompleted);
+    } else if (subject !== 'list' && subject !== 'board') {
+      // For everything that belongs to a card, get card info from included data
+      const cards = included?.cards || [];
+      const taskList = included?.taskLists?.find((candidate) => candidate.id === item.taskListId);
+      details.cardId = item.cardId || taskList?.cardId || cards[0]?.id || null;
+
+      const card = cards.find((candidate) => candidate.id === details.cardId) || cards[0];
+      if (card) {
+        details.cardTitle = card.name || 'N/A';
+        details.description = card.description || null;
+        details.dueDate = card.dueDate || null;
+      }
+    }
+
+    details.username = user?.name || user?.username || 'N/A';
+    details.actor = user ? toPlankaUser(user) : null;
+
+    // Extract board and list from included data
+    const { boards, lists } = included || {};
+
+    details.boardId = boards?.[0]?.id || null;
+    details.boardName = boards?.[0]?.name || 'N/A';
+    details.listId = lists?.[0]?.id || null;
+    details.listName = lists?.[0]?.name || 'N/A';
+    details.listType = lists?.[0]?.type || null;
+
+    // List and board events are about the list or board itself
+    if (subject === 'list') {
+      details.listId = item.id || null;
+      details.listName = item.name || 'N/A';
+      details.boardId = item.boardId || details.boardId;
+    } else if (subject === 'board') {
+      details.boardId = item.id || null;
+      details.boardName = item.name || 'N/A';
+    }
+
+    // Links back to the card and board in Planka
+    details.cardUrl = getPlankaUrl(plankaUrl, 'cards', details.cardId);
+    details.boardUrl = getPlankaUrl(plankaUrl, 'boards', details.boardId);
+
+    // Extract the card's label names, when Planka includes them
+    const cardLabelIds = (included?.cardLabels || [])
+      .filter((cardLabel) => !details.cardId || cardLabel.cardId === details.cardId)
+      .map((cardLabel) => cardLabel.labelId);
+    details.labels = (included?.labels || [])
+      .filter((label) => cardLabelIds.includes(label.id))
+      .map((label) => label.name);
+
+    // Extract the names of the card's members, when Planka includes them
+    const memberIds = (included?.cardMemberships || [])
+      .filter((membership) => !details.cardId || membership.cardId === details.cardId)
+      .map((membership) => membership.userId);
+    const memberUsers = (included?.users || []).filter((member) => memberIds.includes(member.id));
+    details.members = memberUsers.map((member) => member.name || member.username);
+
+    // Members and, for tasks, the assignee can be mentioned in Slack (see slack.mentionMembers)
+    const assignee = item.assigneeUserId && included?.users?.find((candidate) => candidate.id === item.assigneeUserId);
+    if (assignee && !memberUsers.includes(assignee)) {
+      memberUsers.push(assignee);
+    }
+    details.memberUsers = memberUsers.map(toPlankaUser);
+
+    // Detect what changed for update events
+    if (prevItem && data.event === 'cardUpdate') {
+      details.changeRecords = detectCardChanges(prevData, webhookData);
+      details.changes = details.changeRecords.map(formatChange);
+      details.fromListName = details.changeRecords.find((change) => change.field === 'list')?.from || null;
+    }
+
+    // Notification targets from the card's directives (for both card and comment events), once
+    // the changes show whether a cardUpdate is a move
+    details.directives = findCardDirectives(details, included, { ...DEFAULT_DIRECTIVE_SOURCES, ...directives });
+    const { targets, excluded } = resolveDirectives(details.directives, data.event, details);
+    details.notifyTargets = targets;
+    details.directiveTargets = targets;
+    details.excludedTargets = excluded;
+  }
+
+  return details;
+}
+
+module.exports = { DEFAULT_DETAILS, extractWebhookDetails, findPayloadError };
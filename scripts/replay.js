@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Replays captured webhooks through the notification pipeline in dry-run mode.
+ *
+ * Each webhook goes through extractWebhookDetails, the routing rules and channel subscriptions,
+ * and buildSlackMessage, and the Slack Web API calls it would make are printed instead of sent.
+ * Batching, user preferences and mention lookups need the live server or Slack, so they are skipped.
+ *
+ * Usage:
+ *   npm run replay -- [--tenant <name>] [--event <event>] [--last <n>] [file ...]
+ *
+ * Files are capture logs (data/captures/webhooks*.jsonl, see `capture` in config.js) or single
+ * webhook bodies saved as JSON. Without files, the capture logs of this server are replayed.
+ * With `tenants` in config.js, --tenant picks whose settings and capture logs are used.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createCaptureLog } = require('../lib/capture');
+const { createEventFilter, getEventSubject } = require('../lib/events');
+const { createNotifiers, groupTargetsByNotifier } = require('../lib/notifiers');
+const { createPlankaClient } = require('../lib/plankaClient');
+const { applyRouting, createRouter } = require('../lib/routing');
+const { createRuleStore } = require('../lib/ruleStore');
+const { createSubscriptionStore } = require('../lib/subscriptions');
+const { getTenantConfigs, getTenantDataDir } = require('../lib/tenant');
+const { createTemplates } = require('../lib/templates');
+const { extractWebhookDetails } = require('../lib/webhookDetails');
+
+// Load configuration
+let serverConfig;
+try {
+  serverConfig = require('../config.js');
+} catch (error) {
+  console.error('❌ Error loading config.js. Please copy config.js.example to config.js and update the values.');
+  process.exit(1);
+}
+
+// Helper function to read the command line options
+function parseArguments(args) {
+  const options = { tenant: 'default', event: null, last: null, files: [] };
+
+  for (let index = 0; index < args.length; index++) {
+    if (args[index] === '--tenant') {
+      options.tenant = args[++index];
+    } else if (args[index] === '--event') {
+      options.event = args[++index];
+    } else if (args[index] === '--last') {
+      options.last = Number(args[++index]);
+    } else {
+      options.files.push(args[index]);
+    }
+  }
+
+  return options;
+}
+
+// Helper function to read the webhook bodies from a capture log or a single saved webhook
+function readWebhooks(file) {
+  const content = fs.readFileSync(file, 'utf8');
+
+  if (!file.endsWith('.jsonl')) {
+    return [{ receivedAt: null, body: content }];
+  }
+
+  return content
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+// Helper function to get the event type of a webhook body
+function getEvent(body) {
+  try {
+    return JSON.parse(body).event || 'unknown';
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const config = getTenantConfigs(serverConfig)[options.tenant];
+  if (!config) {
+    console.error(`❌ No tenant "${options.tenant}" in config.js`);
+    process.exit(1);
+  }
+
+  const dataDir = getTenantDataDir(serverConfig.dataDir || path.join(__dirname, '..', 'data'), options.tenant);
+  const plankaUrl = (config.planka?.baseUrl || '').replace(/\/+$/, '');
+  const captureLog = createCaptureLog({ capture: config.capture, dir: path.join(dataDir, 'captures') });
+  const files = options.files.length > 0 ? options.files : captureLog.getFiles();
+
+  if (files.length === 0) {
+    console.log('ℹ️  No captured webhooks. Set capture.enabled in config.js, or give webhook files to replay.');
+    return;
+  }
+
+  const templates = createTemplates(config.templates);
+  const notifiers = createNotifiers(config, {
+    tenant: options.tenant,
+    dataDir,
+    templates,
+    interactive: !!(createPlankaClient(config.planka) && config.slack?.signingSecret),
+  });
+  const isEventEnabled = createEventFilter(config.events);
+  // The rules of config.js, then the ones made on the admin page, as the server applies them
+  const rules = createRuleStore(path.join(dataDir, 'routing-rules.json'));
+  const router = createRouter([...(config.routing?.rules || []), ...rules.list()]);
+  const subscriptions = createSubscriptionStore(path.join(dataDir, 'subscriptions.json'));
+
+  let webhooks = files.flatMap(readWebhooks).map((webhook) => ({ ...webhook, event: getEvent(webhook.body) }));
+  if (options.event) {
+    webhooks = webhooks.filter((webhook) => webhook.event === options.event);
+  }
+  if (options.last) {
+    webhooks = webhooks.slice(-options.last);
+  }
+
+  console.log(`🔁 Replaying ${webhooks.length} webhook(s) in dry-run mode, nothing is sent\n`);
+
+  for (const { receivedAt, body, event } of webhooks) {
+    const details = extractWebhookDetails(body, { plankaUrl, directives: config.directives });
+
+    const subjectName =
+      { list: details.listName, board: details.boardName }[getEventSubject(event)] || details.cardTitle;
+    console.log(`▶️  ${event} on "${subjectName}"${receivedAt ? ` (received ${receivedAt})` : ''}`);
+    applyRouting(router, subscriptions, event, details);
+
+    if (!isEventEnabled(event) || details.notifyTargets.length === 0) {
+      const reason = isEventEnabled(event) ? 'no notify targets' : 'not enabled in config.js events';
+      console.log(`  ℹ️  Not sent (${reason})\n`);
+      continue;
+    }
+
+    console.log(`  🎯 Targets: ${details.notifyTargets.join(', ')}`);
+
+    for (const [name, targets] of Object.entries(groupTargetsByNotifier(details.notifyTargets))) {
+      if (name !== 'slack' || !notifiers.slack) {
+        console.log(`  ⏭️  ${name}: ${targets.join(', ')} (${notifiers[name] ? 'not previewed' : 'not configured'})`);
+        continue;
+      }
+
+      const deliveries = notifiers.slack.previewSlackNotification(event, details, targets);
+      for (const { destination, method, payload } of deliveries) {
+        console.log(`  💬 ${destination} → ${method}`);
+        console.log(JSON.stringify(payload, null, 2).replace(/^/gm, '    '));
+      }
+    }
+    console.log('');
+  }
+}
+
+main();